@@ -5,6 +5,7 @@ import dotenv from "dotenv";
 import Stripe from "stripe";
 import admin from "firebase-admin";
 import pg from "pg";
+import crypto from "crypto";
 
 
 
@@ -45,9 +46,6 @@ try {
   console.error("Firebase Admin init failed:", e.message);
 }
 
-// In-memory tokens (OK for testing). Replace with DB later.
-const deviceTokensByEmail = new Map(); // emailLower -> Set(tokens)
-
 
 
 const app = express();
@@ -61,8 +59,23 @@ app.use((req, res, next) => {
 
 
 // ---- Body parsers (HubSpot can send JSON or form-encoded)
-app.use(express.urlencoded({ extended: true }));
-app.use(express.json({ type: ["application/json", "application/*+json"] }));
+// Keep the raw bytes around: webhook signature checks (Stripe, HubSpot) must hash the exact payload
+app.use(
+  express.urlencoded({
+    extended: true,
+    verify: (req, _res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
+app.use(
+  express.json({
+    type: ["application/json", "application/*+json"],
+    verify: (req, _res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 
 // ---- Catch invalid JSON (otherwise express.json will auto-400 before your routes)
 app.use((err, req, res, next) => {
@@ -70,6 +83,10 @@ app.use((err, req, res, next) => {
   if (isJsonSyntax) {
     console.error("BAD_JSON_BODY", req.method, req.originalUrl, err.message);
     // Return 200 so HubSpot doesn't keep failing tests; we still log it.
+    // req.rawBody is still set, so unsigned junk on the webhook routes gets a 401 instead.
+    if (HUBSPOT_WEBHOOK_PATHS.has(req.path)) {
+      return requireHubSpotSignature(req, res, () => res.status(200).send("ok"));
+    }
     return res.status(200).send("ok");
   }
   next(err);
@@ -80,8 +97,8 @@ const PORT = process.env.PORT || 3000;
 const HUBSPOT_TOKEN = process.env.HUBSPOT_TOKEN;
 const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || "*";
 
-// === Truck live location in-memory store ===
-let truckLocation = null;
+// === Truck live location in-memory store (latest fix per truck id) ===
+const truckLocations = new Map();
 
 // Optional: simple secret key so only Phone A can update
 // Set this in your environment variables on the server (and in the app) later.
@@ -96,12 +113,108 @@ if (!HUBSPOT_TOKEN) {
 app.use(
   cors({
     origin: ALLOWED_ORIGIN,
-    methods: ["GET", "POST", "OPTIONS"],
+    methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
     allowedHeaders: ["Content-Type", "Authorization"],
   })
 );
 app.use(express.json());
 
+// ======================= AUTH (Firebase ID tokens) =======================
+// Customer routes act on the email inside a verified Firebase ID token
+// (Authorization: Bearer <idToken>), never on an email the client sends.
+//
+// REQUIRE_FIREBASE_AUTH=false lets requests without a token through and falls back to the
+// body/query email. Only meant for local testing and the app rollout window.
+const REQUIRE_FIREBASE_AUTH =
+  (process.env.REQUIRE_FIREBASE_AUTH ?? "true").toString().trim().toLowerCase() !== "false";
+
+// Opt-outs: "METHOD /path" entries reachable without a token.
+// Webhooks verify their own signatures; truck updates use x-truck-secret.
+const PUBLIC_ROUTES = new Set([
+  "GET /maintenance/status",
+  "GET /gas-prices",
+  "GET /blackout-dates",
+  "GET /refills/availability",
+  "GET /stripe/publishable-key",
+  "POST /stripe/webhook",
+  "GET /hubspot/webhook",
+  "POST /hubspot/webhook",
+  "POST /hubspot/email-logged",
+  "POST /truck/location",
+]);
+
+// Same, for paths with parameters
+const PUBLIC_ROUTE_PATTERNS = [
+  ["POST", /^\/trucks\/[^/]+\/location$/],
+];
+
+function isPublicRoute(req) {
+  return (
+    req.method === "OPTIONS" ||
+    PUBLIC_ROUTES.has(`${req.method} ${req.path}`) ||
+    PUBLIC_ROUTE_PATTERNS.some(([method, re]) => method === req.method && re.test(req.path))
+  );
+}
+
+app.use(async (req, res, next) => {
+  if (isPublicRoute(req) || isAdminRequest(req)) return next();
+
+  const header = (req.headers.authorization ?? "").toString();
+  const match = header.match(/^Bearer\s+(.+)$/i);
+
+  if (!match) {
+    if (!REQUIRE_FIREBASE_AUTH) return next();
+    return res.status(401).json({ error: "auth_required" });
+  }
+
+  if (!admin.apps.length) {
+    console.error("AUTH blocked: firebase_admin_not_initialized", req.method, req.originalUrl);
+    return res.status(503).json({ error: "auth_unavailable" });
+  }
+
+  try {
+    const decoded = await admin.auth().verifyIdToken(match[1].trim());
+    const email = (decoded.email ?? "").toString().trim().toLowerCase();
+    if (!email) {
+      return res.status(403).json({ error: "token_has_no_email" });
+    }
+    // The email is what ties the caller to their contact, vehicles, refills and Stripe
+    // customer, so anyone could claim someone else's address without this
+    if (decoded.email_verified !== true) {
+      return res.status(403).json({ error: "email_not_verified" });
+    }
+
+    req.user = { uid: decoded.uid, email };
+    return next();
+  } catch (err) {
+    console.warn("AUTH invalid token:", req.method, req.originalUrl, err?.code || err?.message);
+    return res.status(401).json({ error: "invalid_token" });
+  }
+});
+
+// Ops/admin requests carry x-admin-key equal to ADMIN_API_KEY (never valid when unset).
+// They skip the Firebase check; admin-only routes add requireAdmin.
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || "";
+
+function isAdminRequest(req) {
+  const key = (req.headers["x-admin-key"] ?? "").toString();
+  return Boolean(ADMIN_API_KEY) && key === ADMIN_API_KEY;
+}
+
+function requireAdmin(req, res, next) {
+  if (!isAdminRequest(req)) {
+    return res.status(401).json({ error: "unauthorized" });
+  }
+  return next();
+}
+
+// Email a customer route acts on: the token's email when authenticated,
+// otherwise (REQUIRE_FIREBASE_AUTH=false only) the value the client supplied.
+function callerEmail(req, supplied) {
+  if (req.user?.email) return req.user.email;
+  return (supplied ?? "").toString().trim();
+}
+
 
 const { Pool } = pg;
 
@@ -110,16 +223,303 @@ const pool = new Pool({
   ssl: { rejectUnauthorized: false }
 });
 
-async function upsertToken(email, token) {
+// ---- Tables owned by this service. push_tokens predates this and was created by hand;
+// the create below matches it, the alters add the device registry columns.
+const SCHEMA_STATEMENTS = [
+  `
+  create table if not exists push_tokens (
+    token text primary key,
+    email text not null,
+    updated_at timestamptz not null default now()
+  )
+  `,
+  `alter table push_tokens add column if not exists id bigserial`,
+  `alter table push_tokens add column if not exists platform text`,
+  `alter table push_tokens add column if not exists app_version text`,
+  `alter table push_tokens add column if not exists os_version text`,
+  `alter table push_tokens add column if not exists locale text`,
+  `alter table push_tokens add column if not exists created_at timestamptz not null default now()`,
+  `alter table push_tokens add column if not exists last_seen_at timestamptz not null default now()`,
+  `create unique index if not exists push_tokens_id_idx on push_tokens (id)`,
+  `
+  create table if not exists stripe_webhook_events (
+    event_id text primary key,
+    type text not null,
+    received_at timestamptz not null default now()
+  )
+  `,
+  // processing while a delivery is being handled, done once it succeeded
+  `alter table stripe_webhook_events add column if not exists status text not null default 'done'`,
+  `alter table stripe_webhook_events add column if not exists claimed_at timestamptz not null default now()`,
+  `
+  create table if not exists refill_quotes (
+    id text primary key,
+    email text not null,
+    service_location text,
+    quote jsonb not null,
+    created_at timestamptz not null default now(),
+    expires_at timestamptz not null
+  )
+  `,
+  `
+  create table if not exists vehicles (
+    id text primary key,
+    email text not null,
+    name text not null default '',
+    make text not null default '',
+    model text not null default '',
+    year text not null default '',
+    color text not null default '',
+    plate text not null default '',
+    source_note_id text unique,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+  )
+  `,
+  `create index if not exists vehicles_email_idx on vehicles (email)`,
+  `alter table vehicles add column if not exists vin text not null default ''`,
+  `
+  create table if not exists truck_locations (
+    id bigserial primary key,
+    lat double precision not null,
+    lng double precision not null,
+    heading double precision,
+    speed double precision,
+    recorded_at timestamptz not null default now()
+  )
+  `,
+  `create index if not exists truck_locations_recorded_at_idx on truck_locations (recorded_at)`,
+  `alter table truck_locations add column if not exists truck_id text not null default 'default'`,
+  `
+  create index if not exists truck_locations_truck_recorded_at_idx
+    on truck_locations (truck_id, recorded_at)
+  `,
+  `
+  create table if not exists trucks (
+    id text primary key,
+    name text not null,
+    secret_hash text,
+    active boolean not null default true,
+    created_at timestamptz not null default now()
+  )
+  `,
+  // The original single truck; it authenticates with TRUCK_LOCATION_SECRET
+  `insert into trucks (id, name) values ('default', 'Gas Me Up Truck') on conflict (id) do nothing`,
+  `
+  create table if not exists refill_truck_assignments (
+    task_id text primary key,
+    truck_id text not null references trucks (id),
+    email text not null,
+    service_date text,
+    assigned_at timestamptz not null default now()
+  )
+  `,
+  `
+  create index if not exists refill_truck_assignments_email_idx
+    on refill_truck_assignments (email, service_date)
+  `,
+  `
+  create table if not exists service_locations (
+    id text primary key,
+    email text not null,
+    label text,
+    address_lines text[] not null,
+    lat double precision not null,
+    lng double precision not null,
+    created_at timestamptz not null default now()
+  )
+  `,
+  `create index if not exists service_locations_email_idx on service_locations (email)`,
+  // Where each refill was booked; coordinates are null for plain-text (older app) bookings
+  `
+  create table if not exists refill_locations (
+    task_id text primary key,
+    email text not null,
+    location_id text,
+    label text,
+    address_lines text[] not null,
+    lat double precision,
+    lng double precision,
+    created_at timestamptz not null default now()
+  )
+  `,
+  // Inbound HubSpot webhook events (see processWebhookQueue)
+  `
+  create table if not exists hubspot_webhook_events (
+    event_id text primary key,
+    source text not null,
+    payload jsonb not null,
+    status text not null default 'pending',
+    attempts integer not null default 0,
+    next_attempt_at timestamptz not null default now(),
+    locked_at timestamptz,
+    last_error text,
+    received_at timestamptz not null default now(),
+    processed_at timestamptz
+  )
+  `,
+  `
+  create index if not exists hubspot_webhook_events_status_idx
+    on hubspot_webhook_events (status, next_attempt_at)
+  `,
+  `
+  create table if not exists notifications (
+    id bigserial primary key,
+    email text not null,
+    type text not null,
+    title text not null,
+    body text not null,
+    data jsonb not null default '{}',
+    created_at timestamptz not null default now(),
+    read_at timestamptz
+  )
+  `,
+  `create index if not exists notifications_email_id_idx on notifications (email, id desc)`,
+  // Missing row / missing category key = defaults from NOTIFICATION_CATEGORIES
+  `
+  create table if not exists notification_preferences (
+    email text primary key,
+    categories jsonb not null default '{}',
+    quiet_hours_enabled boolean not null default false,
+    quiet_start text,
+    quiet_end text,
+    timezone text,
+    updated_at timestamptz not null default now()
+  )
+  `,
+  `
+  create index if not exists notifications_unread_idx
+    on notifications (email) where read_at is null
+  `,
+  `
+  create table if not exists hubspot_webhook_deliveries (
+    event_id text not null references hubspot_webhook_events (event_id) on delete cascade,
+    recipient text not null,
+    delivered_at timestamptz not null default now(),
+    primary key (event_id, recipient)
+  )
+  `,
+  // Last refill status pushed to the customer (statusCode from parseRefillStatus)
+  `
+  create table if not exists refill_status_notifications (
+    task_id text primary key,
+    status_code integer not null,
+    notified_at timestamptz not null default now()
+  )
+  `,
+  // One "truck is arriving" push per refill
+  `
+  create table if not exists refill_arrival_notifications (
+    task_id text primary key,
+    email text not null,
+    truck_id text not null,
+    notified_at timestamptz not null default now()
+  )
+  `,
+  `
+  create table if not exists refill_payments (
+    task_id text primary key,
+    payment_intent_id text not null unique,
+    email text not null,
+    amount_cents integer not null,
+    amount_refunded_cents integer not null default 0,
+    status text not null,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+  )
+  `,
+  // One row per refill slot (start instant) booked through this server; reserveRefillSlot
+  // locks it so concurrent bookings of the same slot are counted one at a time
+  `
+  create table if not exists refill_slots (
+    slot_start timestamptz primary key
+  )
+  `,
+  // Places held in a slot. task_id is "pending:<uuid>" until the HubSpot task exists.
+  `
+  create table if not exists refill_slot_reservations (
+    task_id text primary key,
+    slot_start timestamptz not null,
+    reserved_at timestamptz not null default now()
+  )
+  `,
+  `create index if not exists refill_slot_reservations_slot_idx on refill_slot_reservations (slot_start)`,
+];
+
+async function ensureSchema() {
+  for (const sql of SCHEMA_STATEMENTS) {
+    await pool.query(sql);
+  }
+}
+
+const DEVICE_FIELDS = {
+  platform: "platform",
+  appVersion: "app_version",
+  osVersion: "os_version",
+  locale: "locale",
+};
+
+// { platform, appVersion, osVersion, locale } from a register body (missing -> null)
+function parseDeviceInfo(body) {
+  const info = {};
+  for (const key of Object.keys(DEVICE_FIELDS)) {
+    const value = (body?.[key] ?? "").toString().trim().slice(0, 64);
+    info[key] = value || null;
+  }
+  if (info.platform) info.platform = info.platform.toLowerCase();
+  return info;
+}
+
+// A token moving to another account (shared device, new login) takes the new email
+async function upsertToken(email, token, device = {}) {
   await pool.query(
     `
-    insert into push_tokens (email, token, updated_at)
-    values ($1, $2, now())
+    insert into push_tokens (email, token, platform, app_version, os_version, locale, updated_at, last_seen_at)
+    values ($1, $2, $3, $4, $5, $6, now(), now())
     on conflict (token)
-    do update set email = excluded.email, updated_at = now()
+    do update set email = excluded.email,
+                  platform = coalesce(excluded.platform, push_tokens.platform),
+                  app_version = coalesce(excluded.app_version, push_tokens.app_version),
+                  os_version = coalesce(excluded.os_version, push_tokens.os_version),
+                  locale = coalesce(excluded.locale, push_tokens.locale),
+                  updated_at = now(),
+                  last_seen_at = now()
+    `,
+    [
+      email,
+      token,
+      device.platform ?? null,
+      device.appVersion ?? null,
+      device.osVersion ?? null,
+      device.locale ?? null,
+    ]
+  );
+}
+
+function rowToDevice(row) {
+  return {
+    id: String(row.id),
+    platform: row.platform,
+    appVersion: row.app_version,
+    osVersion: row.os_version,
+    locale: row.locale,
+    lastSeenAt: row.last_seen_at,
+    createdAt: row.created_at,
+    tokenPreview: tokenPreview(row.token),
+  };
+}
+
+async function listDevicesByEmail(email) {
+  const { rows } = await pool.query(
+    `
+    select *
+    from push_tokens
+    where lower(trim(email)) = $1
+    order by last_seen_at desc
     `,
-    [email, token]
+    [String(email || "").trim().toLowerCase()]
   );
+  return rows;
 }
 
 async function getTokensByEmail(email) {
@@ -143,14 +543,334 @@ async function deleteToken(token) {
   await pool.query(`delete from push_tokens where token = $1`, [token]);
 }
 
+async function deleteTokenForEmail(email, token) {
+  const result = await pool.query(
+    `delete from push_tokens where token = $1 and lower(trim(email)) = $2`,
+    [token, String(email || "").trim().toLowerCase()]
+  );
+  return result.rowCount > 0;
+}
+
+// ---- Notification inbox
+// Every notification sendPushToEmail sends is kept in notifications so the app's message
+// center can show it after the banner is gone (even when the user had no device to push to).
+const NOTIFICATIONS_PAGE_SIZE = 20;
+
+function rowToNotification(row) {
+  return {
+    id: String(row.id),
+    type: row.type,
+    title: row.title,
+    body: row.body,
+    data: row.data || {},
+    createdAt: row.created_at,
+    readAt: row.read_at,
+  };
+}
+
+async function saveNotification(email, { type, title, body, data }) {
+  const { rows } = await pool.query(
+    `
+    insert into notifications (email, type, title, body, data)
+    values ($1, $2, $3, $4, $5)
+    returning *
+    `,
+    [email, type || "general", title || "", body || "", JSON.stringify(data || {})]
+  );
+  return rows[0];
+}
+
+async function deleteNotification(id) {
+  await pool.query(`delete from notifications where id = $1`, [id]);
+}
+
+async function countUnreadNotifications(email) {
+  const { rows } = await pool.query(
+    `select count(*)::int as n from notifications where email = $1 and read_at is null`,
+    [email]
+  );
+  return rows[0].n;
+}
+
+// ---- Notification preferences
+// Each push type belongs to a category the user can switch off (switched-off notifications
+// are neither pushed nor kept in the inbox). During the user's quiet hours notifications
+// still land in the inbox but aren't pushed, except truck_arriving, which only fires while
+// a refill is under way. Types without a category (test) always go out.
+const NOTIFICATION_CATEGORIES = {
+  refill_status: { label: "Refill status", default: true },
+  staff_messages: { label: "Messages from staff", default: true },
+  promotions: { label: "Promotions", default: false },
+  price_alerts: { label: "Price alerts", default: false },
+  truck_arriving: { label: "Truck arriving", default: true },
+};
+
+const NOTIFICATION_TYPE_CATEGORIES = {
+  refill_status: "refill_status",
+  hubspot_email_logged: "staff_messages",
+  hubspot_event: "staff_messages",
+  truck_arriving: "truck_arriving",
+};
+
+const QUIET_HOURS_EXEMPT_CATEGORIES = new Set(["truck_arriving"]);
+const DEFAULT_NOTIFICATION_TIMEZONE = "America/New_York";
+
+function isValidTimeZone(tz) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function hhmmToMinutes(value) {
+  const match = (value ?? "").toString().match(/^([01]\d|2[0-3]):([0-5]\d)$/);
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+function rowToNotificationPreferences(row) {
+  const categories = {};
+  for (const [id, def] of Object.entries(NOTIFICATION_CATEGORIES)) {
+    const stored = row?.categories?.[id];
+    categories[id] = typeof stored === "boolean" ? stored : def.default;
+  }
+  return {
+    categories,
+    quietHours: {
+      enabled: Boolean(row?.quiet_hours_enabled),
+      start: row?.quiet_start || "22:00",
+      end: row?.quiet_end || "07:00",
+      timezone: row?.timezone || DEFAULT_NOTIFICATION_TIMEZONE,
+    },
+  };
+}
+
+async function getNotificationPreferences(email) {
+  const { rows } = await pool.query(
+    `select * from notification_preferences where email = $1`,
+    [email]
+  );
+  return rowToNotificationPreferences(rows[0]);
+}
+
+// Whether `at` falls inside the quiet window in the user's timezone (windows may wrap midnight)
+function isInQuietHours(quietHours, at = new Date()) {
+  if (!quietHours.enabled) return false;
+  const start = hhmmToMinutes(quietHours.start);
+  const end = hhmmToMinutes(quietHours.end);
+  if (start == null || end == null || start === end) return false;
+
+  const parts = {};
+  for (const p of new Intl.DateTimeFormat("en-US", {
+    timeZone: quietHours.timezone,
+    hourCycle: "h23",
+    hour: "2-digit",
+    minute: "2-digit",
+  }).formatToParts(at)) {
+    parts[p.type] = p.value;
+  }
+  const minutes = Number(parts.hour) * 60 + Number(parts.minute);
+
+  return start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+}
+
+// PUT body -> { update: { categories, quietHours } } merged over current, or { error }
+function mergeNotificationPreferences(current, body) {
+  const categories = { ...current.categories };
+  if (body?.categories != null) {
+    if (typeof body.categories !== "object" || Array.isArray(body.categories)) {
+      return { error: "categories must be an object" };
+    }
+    for (const [id, value] of Object.entries(body.categories)) {
+      if (!NOTIFICATION_CATEGORIES[id]) return { error: `unknown category: ${id}` };
+      if (typeof value !== "boolean") return { error: `categories.${id} must be true or false` };
+      categories[id] = value;
+    }
+  }
+
+  const quietHours = { ...current.quietHours };
+  const qh = body?.quietHours;
+  if (qh != null) {
+    if (typeof qh !== "object" || Array.isArray(qh)) {
+      return { error: "quietHours must be an object" };
+    }
+    if (qh.enabled != null) {
+      if (typeof qh.enabled !== "boolean") return { error: "quietHours.enabled must be true or false" };
+      quietHours.enabled = qh.enabled;
+    }
+    for (const key of ["start", "end"]) {
+      if (qh[key] == null) continue;
+      if (hhmmToMinutes(qh[key]) == null) return { error: `quietHours.${key} must be HH:MM` };
+      quietHours[key] = qh[key];
+    }
+    if (qh.timezone != null) {
+      const tz = qh.timezone.toString().trim();
+      if (!isValidTimeZone(tz)) return { error: "quietHours.timezone must be an IANA timezone" };
+      quietHours.timezone = tz;
+    }
+  }
+
+  return { update: { categories, quietHours } };
+}
+
+async function saveNotificationPreferences(email, { categories, quietHours }) {
+  await pool.query(
+    `
+    insert into notification_preferences
+      (email, categories, quiet_hours_enabled, quiet_start, quiet_end, timezone, updated_at)
+    values ($1, $2, $3, $4, $5, $6, now())
+    on conflict (email)
+    do update set categories = excluded.categories,
+                  quiet_hours_enabled = excluded.quiet_hours_enabled,
+                  quiet_start = excluded.quiet_start,
+                  quiet_end = excluded.quiet_end,
+                  timezone = excluded.timezone,
+                  updated_at = now()
+    `,
+    [
+      email,
+      JSON.stringify(categories),
+      quietHours.enabled,
+      quietHours.start,
+      quietHours.end,
+      quietHours.timezone,
+    ]
+  );
+}
+
+// ---- Notification dispatcher
+// Every push goes through sendPushToEmail: the user's preferences are checked, it is saved
+// to the inbox, tokens come from push_tokens, one multicast per user, and tokens FCM says
+// are dead (app uninstalled, token rotated) are deleted.
+const STALE_TOKEN_ERROR_CODES = new Set([
+  "messaging/registration-token-not-registered",
+  "messaging/invalid-registration-token",
+]);
+
+function tokenPreview(token) {
+  return (token ?? "").slice(0, 18) + "...";
+}
+
+/**
+ * Saves { title, body, data } to the user's inbox (type = data.type) and sends it to
+ * every device registered for email, with data.notificationId set to the inbox id.
+ * The category comes from data.type (NOTIFICATION_TYPE_CATEGORIES) unless given;
+ * a switched-off category or quiet hours set suppressed ("category_disabled" | "quiet_hours").
+ * FCM data values must be strings; anything else is stringified.
+ * tokenGraceMs: when no token is found, wait this long and look once more (for a
+ * registration racing the send).
+ * Returns { email, category, suppressed, notificationId, tokenCount, successCount, failureCount, prunedCount,
+ *           results: [ { tokenPreview, success, messageId?, code?, message?, pruned } ] }
+ */
+async function sendPushToEmail(
+  email,
+  { title, body, data = {} },
+  { tokenGraceMs = 0, category = NOTIFICATION_TYPE_CATEGORIES[data.type] ?? null } = {}
+) {
+  if (!admin.apps.length) {
+    throw new Error("firebase_admin_not_initialized");
+  }
+
+  const normEmail = String(email || "").trim().toLowerCase();
+  const summary = {
+    email: normEmail,
+    category,
+    suppressed: null,
+    notificationId: null,
+    tokenCount: 0,
+    successCount: 0,
+    failureCount: 0,
+    prunedCount: 0,
+    results: [],
+  };
+
+  const prefs = category ? await getNotificationPreferences(normEmail) : null;
+  if (prefs && !prefs.categories[category]) {
+    summary.suppressed = "category_disabled";
+    console.log("PUSH SUPPRESSED", { email: normEmail, category, reason: summary.suppressed });
+    return summary;
+  }
+
+  let tokens = await getTokensByEmail(normEmail);
+  if (!tokens.length && tokenGraceMs > 0) {
+    await new Promise((r) => setTimeout(r, tokenGraceMs));
+    tokens = await getTokensByEmail(normEmail);
+  }
+
+  const stringData = {};
+  for (const [key, value] of Object.entries(data)) {
+    if (value != null) stringData[key] = typeof value === "string" ? value : String(value);
+  }
+
+  const saved = await saveNotification(normEmail, {
+    type: stringData.type,
+    title,
+    body,
+    data: stringData,
+  });
+  stringData.notificationId = String(saved.id);
+  summary.notificationId = String(saved.id);
+  summary.tokenCount = tokens.length;
+  if (!tokens.length) return summary;
+
+  if (
+    prefs &&
+    !QUIET_HOURS_EXEMPT_CATEGORIES.has(category) &&
+    isInQuietHours(prefs.quietHours)
+  ) {
+    summary.suppressed = "quiet_hours";
+    console.log("PUSH SUPPRESSED", { email: normEmail, category, reason: summary.suppressed });
+    return summary;
+  }
+
+  let resp;
+  try {
+    resp = await admin.messaging().sendEachForMulticast({
+      tokens,
+      notification: { title, body },
+      data: stringData,
+    });
+  } catch (err) {
+    // The caller may retry; don't leave a duplicate in the inbox
+    await deleteNotification(saved.id).catch(() => {});
+    throw err;
+  }
+
+  summary.successCount = resp.successCount;
+  summary.failureCount = resp.failureCount;
+
+  for (const [i, r] of resp.responses.entries()) {
+    const result = { tokenPreview: tokenPreview(tokens[i]), success: r.success, pruned: false };
+    if (r.success) {
+      result.messageId = r.messageId ?? null;
+    } else {
+      result.code = r.error?.code ?? null;
+      result.message = r.error?.message ?? null;
+      if (STALE_TOKEN_ERROR_CODES.has(result.code)) {
+        await deleteToken(tokens[i]);
+        result.pruned = true;
+        summary.prunedCount++;
+      }
+    }
+    summary.results.push(result);
+  }
+
+  if (summary.prunedCount) {
+    console.log("PRUNED STALE PUSH TOKENS", { email: normEmail, count: summary.prunedCount });
+  }
+  return summary;
+}
+
+
 
 
 
-// POST /push/register  { email, fcmToken }
-// POST /push/register  { email, fcmToken }
+// POST /push/register  { email, fcmToken, platform?, appVersion?, osVersion?, locale? }
+// Call on every launch: it also refreshes the device's last-seen time
 app.post("/push/register", async (req, res) => {
   try {
-    const email = (req.body?.email ?? "").toString().trim().toLowerCase();
+    const email = callerEmail(req, req.body?.email).toLowerCase();
 
     // Accept both keys to avoid breakage (iOS should send "token")
     const token = (req.body?.token ?? req.body?.fcmToken ?? "").toString().trim();
@@ -159,11 +879,14 @@ app.post("/push/register", async (req, res) => {
       return res.status(400).json({ error: "email and token required" });
     }
 
-    await upsertToken(email, token);
+    const device = parseDeviceInfo(req.body);
+    await upsertToken(email, token, device);
 
     console.log("REGISTER PUSH TOKEN (DB)", {
       email,
-      tokenPreview: token.slice(0, 18) + "..."
+      tokenPreview: tokenPreview(token),
+      platform: device.platform,
+      appVersion: device.appVersion,
     });
 
     return res.json({ ok: true });
@@ -173,109 +896,290 @@ app.post("/push/register", async (req, res) => {
   }
 });
 
+// POST /push/unregister  { token }
+// Call on logout so a shared device stops getting the previous user's pushes
+app.post("/push/unregister", async (req, res) => {
+  try {
+    const email = callerEmail(req, req.body?.email).toLowerCase();
+    const token = (req.body?.token ?? req.body?.fcmToken ?? "").toString().trim();
 
+    if (!email || !token) {
+      return res.status(400).json({ error: "email and token required" });
+    }
 
+    const removed = await deleteTokenForEmail(email, token);
+    console.log("UNREGISTER PUSH TOKEN", { email, tokenPreview: tokenPreview(token), removed });
 
-
-app.use((req, res, next) => {
-  console.log("INBOUND", req.method, req.originalUrl);
-  next();
+    // Already gone is fine: logout must not fail on it
+    return res.json({ ok: true, removed });
+  } catch (err) {
+    console.error("POST /push/unregister error:", err?.message ?? err);
+    return res.status(500).json({ error: "server_error" });
+  }
 });
 
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// GET /push/devices?token=<this device's token>
+// Returns { devices: [ { id, platform, appVersion, osVersion, locale, lastSeenAt, createdAt,
+//   tokenPreview, current } ] }, most recently seen first
+app.get("/push/devices", async (req, res) => {
+  try {
+    const email = callerEmail(req, req.query?.email).toLowerCase();
+    if (!email) {
+      return res.status(400).json({ error: "email is required" });
+    }
 
+    const currentToken = (req.query?.token ?? "").toString().trim();
+    const devices = (await listDevicesByEmail(email)).map((row) => ({
+      ...rowToDevice(row),
+      current: Boolean(currentToken) && row.token === currentToken,
+    }));
 
+    return res.json({ email, devices });
+  } catch (err) {
+    console.error("GET /push/devices error:", err?.message ?? err);
+    return res.status(500).json({ error: "server_error" });
+  }
+});
 
-// POST /push/test  { email, title?, body? }
-// POST /push/test  { email, title?, body? }
-app.post("/push/test", async (req, res) => {
+// DELETE /push/devices/:id
+// Revokes one of the caller's devices (it stops receiving pushes until it registers again)
+app.delete("/push/devices/:id", async (req, res) => {
   try {
-    // Always report current init state
-    const initState = {
-      adminAppsLength: admin.apps.length,
-      hasEnv: Boolean(process.env.FIREBASE_SERVICE_ACCOUNT_JSON),
-    };
-
-    if (!admin.apps.length) {
-      console.error("push/test blocked: firebase_admin_not_initialized", initState);
-      return res.status(500).json({ error: "firebase_admin_not_initialized", initState });
+    const email = callerEmail(req, req.body?.email ?? req.query?.email).toLowerCase();
+    if (!email) {
+      return res.status(400).json({ error: "email is required" });
     }
 
-    const email = (req.body?.email ?? "").toString().trim().toLowerCase();
-    const rawTitle = (req.body?.title ?? "").toString().trim();
-const rawBody  = (req.body?.body  ?? "").toString().trim();
-
-const title = rawTitle.length > 0 ? rawTitle : "Gas Me Up";
-const body  = rawBody.length  > 0 ? rawBody  : "Test push";
+    const result = await pool.query(
+      `delete from push_tokens where id::text = $1 and lower(trim(email)) = $2`,
+      [req.params.id, email]
+    );
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: "device_not_found" });
+    }
 
-    if (!email) return res.status(400).json({ error: "email required" });
+    return res.json({ ok: true, id: req.params.id });
+  } catch (err) {
+    console.error("DELETE /push/devices/:id error:", err?.message ?? err);
+    return res.status(500).json({ error: "server_error" });
+  }
+});
 
 
-const normEmail = String(email || "").trim().toLowerCase();
-let tokens = await getTokensByEmail(normEmail);
 
 
-if (!tokens.length) {
-  // small grace period in case token registration is happening at the same time
-  await new Promise(r => setTimeout(r, 1500));
-  tokens = await getTokensByEmail(email);
-}
 
-if (!tokens.length) {
-  console.log("No tokens for contact", email);
+app.use((req, res, next) => {
+  console.log("INBOUND", req.method, req.originalUrl);
+  next();
+});
 
-  console.log("EMAIL RAW:", email);
-console.log("EMAIL NORM:", String(email || "").trim().toLowerCase());
-console.log("TOKENS FOUND COUNT:", tokens.length);
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
 
-  
-  return res.status(404).json({ error: "no_tokens_for_email" });
-}
 
 
+// GET /notifications/preferences
+// Returns { categories: { refill_status: true, ... }, quietHours: { enabled, start, end, timezone },
+// availableCategories: [ { id, label } ] }
+app.get("/notifications/preferences", async (req, res) => {
+  try {
+    const email = callerEmail(req, req.query?.email).toLowerCase();
+    if (!email) {
+      return res.status(400).json({ error: "email is required" });
+    }
 
+    return res.json({
+      ...(await getNotificationPreferences(email)),
+      availableCategories: Object.entries(NOTIFICATION_CATEGORIES).map(([id, def]) => ({
+        id,
+        label: def.label,
+      })),
+    });
+  } catch (err) {
+    console.error("GET /notifications/preferences error:", err?.message ?? err);
+    return res.status(500).json({ error: "server_error" });
+  }
+});
 
+// PUT /notifications/preferences
+// Body: { categories?: { promotions: true, ... }, quietHours?: { enabled, start: "22:00", end: "07:00", timezone } }
+// Only what's sent changes
+app.put("/notifications/preferences", async (req, res) => {
+  try {
+    const email = callerEmail(req, req.body?.email).toLowerCase();
+    if (!email) {
+      return res.status(400).json({ error: "email is required" });
+    }
 
+    const merged = mergeNotificationPreferences(await getNotificationPreferences(email), req.body);
+    if (merged.error) {
+      return res.status(400).json({ error: "invalid_preferences", details: merged.error });
+    }
 
+    await saveNotificationPreferences(email, merged.update);
+    return res.json(merged.update);
+  } catch (err) {
+    console.error("PUT /notifications/preferences error:", err?.message ?? err);
+    return res.status(500).json({ error: "server_error" });
+  }
+});
 
-    const resp = await admin.messaging().sendEachForMulticast({
-      tokens,
-      notification: { title, body },
-      data: { type: "test" },
-    });
+// GET /notifications?cursor=&limit=
+// Newest first. Returns { notifications: [ { id, type, title, body, data, createdAt, readAt } ],
+// unreadCount, nextCursor } (nextCursor is null on the last page)
+app.get("/notifications", async (req, res) => {
+  try {
+    const email = callerEmail(req, req.query?.email).toLowerCase();
+    if (!email) {
+      return res.status(400).json({ error: "email is required" });
+    }
 
-    const errors = resp.responses
-      .map((r, i) =>
-        r.success
-          ? null
-          : {
-              tokenPreview: (tokens[i] ?? "").slice(0, 18) + "...",
-              code: r.error?.code ?? null,
-              message: r.error?.message ?? null,
-            }
-      )
-      .filter(Boolean);
+    const cursor = (req.query?.cursor ?? "").toString().trim();
+    if (cursor && !/^\d+$/.test(cursor)) {
+      return res.status(400).json({ error: "invalid cursor" });
+    }
+    const limit = Math.min(Math.max(Number(req.query?.limit) || NOTIFICATIONS_PAGE_SIZE, 1), 100);
+
+    const { rows } = await pool.query(
+      `
+      select *
+      from notifications
+      where email = $1 and ($2::bigint is null or id < $2::bigint)
+      order by id desc
+      limit $3
+      `,
+      [email, cursor || null, limit + 1]
+    );
 
+    const page = rows.slice(0, limit);
     return res.json({
-      ok: true,
-      successCount: resp.successCount,
-      failureCount: resp.failureCount,
-      errors,
+      notifications: page.map(rowToNotification),
+      unreadCount: await countUnreadNotifications(email),
+      nextCursor: rows.length > limit ? String(page[page.length - 1].id) : null,
     });
   } catch (err) {
-    console.error("POST /push/test error:", err?.message ?? err);
-    return res.status(500).json({ error: "server_error", details: err?.message ?? String(err) });
+    console.error("GET /notifications error:", err?.message ?? err);
+    return res.status(500).json({ error: "server_error" });
   }
 });
 
-// HubSpot sometimes pings endpoints with GET during validation/testing
+// POST /notifications/read-all
+app.post("/notifications/read-all", async (req, res) => {
+  try {
+    const email = callerEmail(req, req.body?.email).toLowerCase();
+    if (!email) {
+      return res.status(400).json({ error: "email is required" });
+    }
 
+    const result = await pool.query(
+      `update notifications set read_at = now() where email = $1 and read_at is null`,
+      [email]
+    );
 
+    return res.json({ ok: true, updated: result.rowCount, unreadCount: 0 });
+  } catch (err) {
+    console.error("POST /notifications/read-all error:", err?.message ?? err);
+    return res.status(500).json({ error: "server_error" });
+  }
+});
 
+// POST /notifications/:id/read
+app.post("/notifications/:id/read", async (req, res) => {
+  try {
+    const email = callerEmail(req, req.body?.email).toLowerCase();
+    if (!email) {
+      return res.status(400).json({ error: "email is required" });
+    }
+    if (!/^\d+$/.test(req.params.id)) {
+      return res.status(404).json({ error: "notification_not_found" });
+    }
 
+    const { rows } = await pool.query(
+      `
+      update notifications
+      set read_at = coalesce(read_at, now())
+      where id = $1 and email = $2
+      returning *
+      `,
+      [req.params.id, email]
+    );
+    if (!rows[0]) {
+      return res.status(404).json({ error: "notification_not_found" });
+    }
 
-// HubSpot axios instance
+    return res.json({
+      ok: true,
+      notification: rowToNotification(rows[0]),
+      unreadCount: await countUnreadNotifications(email),
+    });
+  } catch (err) {
+    console.error("POST /notifications/:id/read error:", err?.message ?? err);
+    return res.status(500).json({ error: "server_error" });
+  }
+});
+
+// POST /push/test  { email, title?, body? }
+// POST /push/test  { email, title?, body? }
+app.post("/push/test", async (req, res) => {
+  try {
+    // Always report current init state
+    const initState = {
+      adminAppsLength: admin.apps.length,
+      hasEnv: Boolean(process.env.FIREBASE_SERVICE_ACCOUNT_JSON),
+    };
+
+    if (!admin.apps.length) {
+      console.error("push/test blocked: firebase_admin_not_initialized", initState);
+      return res.status(500).json({ error: "firebase_admin_not_initialized", initState });
+    }
+
+    const email = callerEmail(req, req.body?.email).toLowerCase();
+    const rawTitle = (req.body?.title ?? "").toString().trim();
+    const rawBody = (req.body?.body ?? "").toString().trim();
+
+    const title = rawTitle.length > 0 ? rawTitle : "Gas Me Up";
+    const body = rawBody.length > 0 ? rawBody : "Test push";
+
+    if (!email) return res.status(400).json({ error: "email required" });
+
+    // Check for tokens before sending: sendPushToEmail saves an inbox row even when
+    // there is no device to deliver to. The grace period covers a token registering
+    // at the same time.
+    let tokens = await getTokensByEmail(email);
+    if (!tokens.length) {
+      await new Promise((r) => setTimeout(r, 1500));
+      tokens = await getTokensByEmail(email);
+    }
+    if (!tokens.length) {
+      console.log("No tokens for contact", email);
+      return res.status(404).json({ error: "no_tokens_for_email" });
+    }
+
+    const result = await sendPushToEmail(email, { title, body, data: { type: "test" } });
+
+    return res.json({
+      ok: true,
+      notificationId: result.notificationId,
+      successCount: result.successCount,
+      failureCount: result.failureCount,
+      prunedCount: result.prunedCount,
+      results: result.results,
+      errors: result.results.filter((r) => !r.success),
+    });
+  } catch (err) {
+    console.error("POST /push/test error:", err?.message ?? err);
+    return res.status(500).json({ error: "server_error", details: err?.message ?? String(err) });
+  }
+});
+
+// HubSpot sometimes pings endpoints with GET during validation/testing
+
+
+
+
+
+// HubSpot axios instance
 const hs = axios.create({
   baseURL: "https://api.hubapi.com",
   headers: {
@@ -363,8 +1267,22 @@ async function getContactByEmail(email) {
 }
 
 // -----------------------------------------------------
-// VEHICLES (NOTES-BASED STORAGE ON CONTACT)
+// VEHICLES (POSTGRES, KEYED BY CONTACT EMAIL)
 // -----------------------------------------------------
+// Vehicles used to live as JSON notes on the HubSpot contact. Those notes are only read
+// now, by the one-time importer (npm run import:vehicles), through parseVehiclesFromNotes.
+// Imported vehicles keep their note id as id so the app's references stay valid.
+
+const VEHICLE_FIELDS = ["name", "make", "model", "year", "color", "plate", "vin"];
+
+// A note is a vehicle if its body is a JSON object tagged kind: "vehicle"
+// (or, for notes written before the tag existed, one carrying vehicle fields).
+// Anything else on the contact (staff notes etc.) is never touched.
+function isVehicleNoteObject(obj) {
+  if (!obj || typeof obj !== "object" || Array.isArray(obj)) return false;
+  if (obj.kind === "vehicle") return true;
+  return ["make", "model", "plate"].some((k) => Object.prototype.hasOwnProperty.call(obj, k));
+}
 
 // Parse vehicles from notes (one JSON per note)
 function parseVehiclesFromNotes(notes) {
@@ -377,6 +1295,7 @@ function parseVehiclesFromNotes(notes) {
 
     try {
       const obj = JSON.parse(body);
+      if (!isVehicleNoteObject(obj)) continue;
       const vehicle = {
         id: note.id,
         make: (obj.make ?? "").toString(),
@@ -413,58 +1332,27 @@ app.get('/stripe/publishable-key', (req, res) => {
 // GET /vehicles?email=...
 app.get("/vehicles", async (req, res) => {
   try {
-    const email = (req.query.email ?? "").toString().trim();
+    const email = callerEmail(req, req.query.email);
     if (!email) {
       return res.status(400).json({ error: "email is required" });
     }
 
-    const contact = await getContactByEmail(email);
-    if (!contact || !contact.id) {
-      return res.status(404).json({ error: "contact_not_found" });
-    }
-
-    const contactId = contact.id;
-
-    const assocResp = await hs.get(
-      `/crm/v3/objects/contacts/${contactId}/associations/notes`
-    );
-
-    const noteIds =
-  assocResp.data?.results?.map((r) => r.id).filter(Boolean) || [];
-
-
-    if (noteIds.length === 0) {
-      return res.json({ email, contactId, vehicles: [] });
-    }
-
-    const batchResp = await hs.post("/crm/v3/objects/notes/batch/read", {
-      properties: ["hs_note_body"],
-      inputs: noteIds.map((id) => ({ id })),
-    });
-
-    const notes = batchResp.data?.results || [];
-    const vehicles = parseVehiclesFromNotes(notes);
+    const vehicles = await listVehicles(email);
 
-    const payload = {
+    return res.json({
       email,
-      contactId: contact.id,
       vehicles,
       debug: {
-        noteCount: notes.length,
-        parsedCount: vehicles.length,
+        count: vehicles.length,
       },
-    };
-
-    return res.json(payload);
+    });
   } catch (err) {
     const status = err.response?.status || 500;
     const data = err.response?.data || err.message;
     console.error("GET /vehicles error:", data);
     return res.status(status).json({ error: "server_error", details: data });
   }
-}
-
-);
+});
 
 // -----------------------------------------------------
 // BLACKOUT DATES (CALLS on special contact)
@@ -485,57 +1373,62 @@ function formatYMDInNY(dateObj) {
   }).format(dateObj);
 }
 
-// GET /blackout-dates
-// Returns: { blackoutDates: ["2026-03-01", ...], contactId, count }
-app.get("/blackout-dates", async (req, res) => {
-  try {
-    const contact = await getContactByEmail(BLACKOUT_DATES_EMAIL);
-    if (!contact || !contact.id) {
-      return res.json({ blackoutDates: [], contactId: null, count: 0 });
-    }
+// Returns { blackoutDates: ["2026-03-01", ...] (sorted, NY dates), contactId }
+async function fetchBlackoutDates() {
+  const contact = await getContactByEmail(BLACKOUT_DATES_EMAIL);
+  if (!contact || !contact.id) {
+    return { blackoutDates: [], contactId: null };
+  }
 
-    const contactId = contact.id;
+  const contactId = contact.id;
 
-    // 1) Find associated call IDs
-    const assocResp = await hs.get(
-      `/crm/v3/objects/contacts/${contactId}/associations/calls`
-    );
+  // 1) Find associated call IDs
+  const assocResp = await hs.get(
+    `/crm/v3/objects/contacts/${contactId}/associations/calls`
+  );
 
-    const callIds =
-      assocResp.data?.results?.map((r) => r.id).filter(Boolean) || [];
+  const callIds =
+    assocResp.data?.results?.map((r) => r.id).filter(Boolean) || [];
 
-    if (!callIds.length) {
-      return res.json({ blackoutDates: [], contactId, count: 0 });
-    }
+  if (!callIds.length) {
+    return { blackoutDates: [], contactId };
+  }
 
-    // 2) Batch read calls to get hs_timestamp
-    const batchResp = await hs.post("/crm/v3/objects/calls/batch/read", {
-      properties: ["hs_timestamp"],
-      inputs: callIds.map((id) => ({ id })),
-    });
+  // 2) Batch read calls to get hs_timestamp
+  const batchResp = await hs.post("/crm/v3/objects/calls/batch/read", {
+    properties: ["hs_timestamp"],
+    inputs: callIds.map((id) => ({ id })),
+  });
 
-    const calls = batchResp.data?.results || [];
-    const set = new Set();
+  const calls = batchResp.data?.results || [];
+  const set = new Set();
 
-    for (const c of calls) {
-      const raw = c.properties?.hs_timestamp;
-      if (!raw) continue;
+  for (const c of calls) {
+    const raw = c.properties?.hs_timestamp;
+    if (!raw) continue;
 
-      let dt = null;
+    let dt = null;
 
-      // HubSpot date properties are often epoch-ms strings
-      if (/^\d+$/.test(String(raw))) {
-        dt = new Date(Number(raw));
-      } else {
-        dt = new Date(String(raw));
-      }
+    // HubSpot date properties are often epoch-ms strings
+    if (/^\d+$/.test(String(raw))) {
+      dt = new Date(Number(raw));
+    } else {
+      dt = new Date(String(raw));
+    }
 
-      if (!dt || isNaN(dt.getTime())) continue;
+    if (!dt || isNaN(dt.getTime())) continue;
 
-      set.add(formatYMDInNY(dt));
-    }
+    set.add(formatYMDInNY(dt));
+  }
 
-    const blackoutDates = Array.from(set).sort();
+  return { blackoutDates: Array.from(set).sort(), contactId };
+}
+
+// GET /blackout-dates
+// Returns: { blackoutDates: ["2026-03-01", ...], contactId, count }
+app.get("/blackout-dates", async (req, res) => {
+  try {
+    const { blackoutDates, contactId } = await fetchBlackoutDates();
 
     return res.json({ blackoutDates, contactId, count: blackoutDates.length });
   } catch (err) {
@@ -561,27 +1454,32 @@ async function createNote(body) {
 }
 
 
-async function markContactAsSubscriberByEmail(email) {
+// Subscriber flag lives in the contact's jobtitle: "1" = subscriber, "" = not
+// Throws on HubSpot errors so the Stripe webhook releases the event and Stripe retries it
+async function setContactSubscriberFlagByEmail(email, isSubscriber) {
   if (!email) return null;
-  try {
-    const contact = await getContactByEmail(email);
-    if (!contact || !contact.id) {
-      console.warn("markContactAsSubscriberByEmail: no contact found for email", email);
-      return null;
-    }
-
-    const contactId = contact.id;
-    await hs.patch(`/crm/v3/objects/contacts/${contactId}`, {
-      properties: {
-        jobtitle: "1",
-      },
-    });
-
-    return contact.id;
-  } catch (err) {
-    console.error("markContactAsSubscriberByEmail error:", err.response?.data || err.message || err);
+  const contact = await getContactByEmail(email);
+  if (!contact || !contact.id) {
+    console.warn("setContactSubscriberFlagByEmail: no contact found for email", email);
     return null;
   }
+
+  const contactId = contact.id;
+  await hs.patch(`/crm/v3/objects/contacts/${contactId}`, {
+    properties: {
+      jobtitle: isSubscriber ? "1" : "",
+    },
+  });
+
+  return contact.id;
+}
+
+async function markContactAsSubscriberByEmail(email) {
+  return setContactSubscriberFlagByEmail(email, true);
+}
+
+async function clearContactSubscriberByEmail(email) {
+  return setContactSubscriberFlagByEmail(email, false);
 }
 
 
@@ -592,11 +1490,258 @@ async function associateNoteToContact(noteId, contactId) {
   );
 }
 
+// All notes associated to a contact, with hs_note_body
+async function listContactNotes(contactId) {
+  const assocResp = await hs.get(
+    `/crm/v3/objects/contacts/${contactId}/associations/notes`
+  );
+  const noteIds =
+    assocResp.data?.results?.map((r) => r.id).filter(Boolean) || [];
+  if (noteIds.length === 0) return [];
+
+  const batchResp = await hs.post("/crm/v3/objects/notes/batch/read", {
+    properties: ["hs_note_body"],
+    inputs: noteIds.map((id) => ({ id })),
+  });
+  return batchResp.data?.results || [];
+}
+
+function rowToVehicle(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    make: row.make,
+    model: row.model,
+    year: row.year,
+    color: row.color,
+    plate: row.plate,
+    vin: row.vin,
+  };
+}
+
+// db may be the pool or a client inside a transaction
+async function listVehicles(email, db = pool) {
+  const { rows } = await db.query(
+    `select * from vehicles where email = $1 order by created_at, id`,
+    [email.toLowerCase()]
+  );
+  return rows.map(rowToVehicle);
+}
+
+async function insertVehicle(email, props, { id, sourceNoteId } = {}, db = pool) {
+  const { rows } = await db.query(
+    `
+    insert into vehicles (id, email, name, make, model, year, color, plate, vin, source_note_id)
+    values ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    on conflict (id) do nothing
+    returning *
+    `,
+    [
+      id || crypto.randomUUID(),
+      email.toLowerCase(),
+      props.name || "",
+      props.make || "",
+      props.model || "",
+      props.year || "",
+      props.color || "",
+      props.plate || "",
+      props.vin || "",
+      sourceNoteId || null,
+    ]
+  );
+  return rows[0] ? rowToVehicle(rows[0]) : null;
+}
+
+// Returns the updated vehicle, or null if it doesn't exist for this email
+async function updateVehicle(email, id, props, db = pool) {
+  const { rows } = await db.query(
+    `
+    update vehicles
+    set name = $3, make = $4, model = $5, year = $6, color = $7, plate = $8, vin = $9,
+        updated_at = now()
+    where id = $1 and email = $2
+    returning *
+    `,
+    [
+      String(id),
+      email.toLowerCase(),
+      props.name || "",
+      props.make || "",
+      props.model || "",
+      props.year || "",
+      props.color || "",
+      props.plate || "",
+      props.vin || "",
+    ]
+  );
+  return rows[0] ? rowToVehicle(rows[0]) : null;
+}
+
+async function deleteVehicle(email, id, db = pool) {
+  const result = await db.query(
+    `delete from vehicles where id = $1 and email = $2`,
+    [String(id), email.toLowerCase()]
+  );
+  return result.rowCount > 0;
+}
+
+// ---- VIN (ISO 3779), decoded offline
+// Check digit: position 9, weighted sum of transliterated characters mod 11 ("X" = 10).
+// Model year: position 10, a 30-year cycle; position 7 being a letter means 2010+.
+
+const VIN_TRANSLITERATION = {
+  A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8,
+  J: 1, K: 2, L: 3, M: 4, N: 5, P: 7, R: 9,
+  S: 2, T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9,
+};
+const VIN_WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+const VIN_YEAR_CODES = "ABCDEFGHJKLMNPRSTVWXY123456789";
+
+// World manufacturer identifiers (first 3 chars) for makes we commonly fuel.
+// Only used to warn on an obvious make mismatch; unknown WMIs are fine.
+const VIN_WMI_MAKES = {
+  "1HG": ["honda"], "2HG": ["honda"], "5FN": ["honda"], "5J6": ["honda"], "JHM": ["honda"], "19X": ["honda"],
+  "19U": ["acura"], "JH4": ["acura"],
+  "1FA": ["ford"], "1FM": ["ford"], "1FT": ["ford"], "3FA": ["ford"], "1LN": ["lincoln"],
+  "1G1": ["chevrolet", "chevy"], "1GC": ["chevrolet", "chevy"], "1GN": ["chevrolet", "chevy"],
+  "1GT": ["gmc"], "1GK": ["gmc"], "1G6": ["cadillac"], "1G4": ["buick"],
+  "1C4": ["jeep", "chrysler", "dodge"], "1C6": ["ram", "dodge"], "2C3": ["chrysler", "dodge"],
+  "1J4": ["jeep"], "1J8": ["jeep"],
+  "2T1": ["toyota"], "4T1": ["toyota"], "5TD": ["toyota"], "JTD": ["toyota"], "JTE": ["toyota"], "JTM": ["toyota"],
+  "JTH": ["lexus"], "2T2": ["lexus"],
+  "1N4": ["nissan"], "5N1": ["nissan"], "JN1": ["nissan"], "JN8": ["nissan"],
+  "JF1": ["subaru"], "JF2": ["subaru"], "4S4": ["subaru"],
+  "JM1": ["mazda"], "JM3": ["mazda"],
+  "KMH": ["hyundai"], "5NP": ["hyundai"], "KNA": ["kia"], "KND": ["kia"], "5XY": ["kia"],
+  "WBA": ["bmw"], "5UX": ["bmw"], "WAU": ["audi"], "WVW": ["volkswagen", "vw"], "3VW": ["volkswagen", "vw"],
+  "WDD": ["mercedes", "mercedes-benz"], "4JG": ["mercedes", "mercedes-benz"],
+  "YV1": ["volvo"], "SAL": ["land rover"], "5YJ": ["tesla"], "7SA": ["tesla"],
+};
+
+function vinRegion(firstChar) {
+  if (/[1-5]/.test(firstChar)) return "North America";
+  if (/[67]/.test(firstChar)) return "Oceania";
+  if (/[89]/.test(firstChar)) return "South America";
+  if (/[A-H]/.test(firstChar)) return "Africa";
+  if (/[J-R]/.test(firstChar)) return "Asia";
+  if (/[S-Z]/.test(firstChar)) return "Europe";
+  return null;
+}
+
+// Returns { valid: false, error } or
+// { valid: true, vin, region, manufacturers, modelYear, modelYearCandidates, checkDigitValid }.
+// Only North American VINs must carry a check digit in position 9; elsewhere a mismatch
+// is just reported through checkDigitValid.
+function decodeVin(raw) {
+  const vin = (raw ?? "").toString().replace(/[\s-]/g, "").toUpperCase();
+
+  if (!/^[A-HJ-NPR-Z0-9]{17}$/.test(vin)) {
+    return { valid: false, error: "VIN must be 17 characters (letters I, O and Q are not allowed)" };
+  }
+
+  let sum = 0;
+  for (let i = 0; i < 17; i++) {
+    const c = vin[i];
+    const value = /\d/.test(c) ? Number(c) : VIN_TRANSLITERATION[c];
+    sum += value * VIN_WEIGHTS[i];
+  }
+  const remainder = sum % 11;
+  const expected = remainder === 10 ? "X" : String(remainder);
+  const checkDigitValid = vin[8] === expected;
+  const region = vinRegion(vin[0]);
+  if (!checkDigitValid && region === "North America") {
+    return { valid: false, error: "VIN check digit does not match (please re-check the VIN)" };
+  }
+
+  const yearIndex = VIN_YEAR_CODES.indexOf(vin[9]);
+  const modelYearCandidates = yearIndex >= 0 ? [1980 + yearIndex, 2010 + yearIndex] : [];
+
+  // The position-7 rule is only defined for North American passenger vehicles
+  let modelYear = null;
+  if (modelYearCandidates.length && region === "North America") {
+    modelYear = /[A-Z]/.test(vin[6]) ? modelYearCandidates[1] : modelYearCandidates[0];
+  }
+
+  return {
+    valid: true,
+    vin,
+    region,
+    manufacturers: VIN_WMI_MAKES[vin.slice(0, 3)] || null,
+    modelYear,
+    modelYearCandidates,
+    checkDigitValid,
+  };
+}
+
+// Checks the VIN on normalized vehicle props. Returns { error } for a bad VIN,
+// else { vinInfo, warnings } (vinInfo null when no VIN was given).
+function checkVehicleVin(props) {
+  if (!props.vin) return { vinInfo: null, warnings: [] };
+
+  const decoded = decodeVin(props.vin);
+  if (!decoded.valid) return { error: decoded.error };
+
+  const warnings = [];
+  if (!decoded.checkDigitValid) {
+    warnings.push("VIN check digit does not match (please re-check the VIN)");
+  }
+
+  const year = Number(props.year);
+  if (props.year && Number.isInteger(year)) {
+    const matches = decoded.modelYear != null
+      ? decoded.modelYear === year
+      : decoded.modelYearCandidates.includes(year);
+    if (!matches && decoded.modelYearCandidates.length) {
+      warnings.push(
+        `Year ${props.year} does not match the VIN model year (${decoded.modelYear ?? decoded.modelYearCandidates.join(" or ")})`
+      );
+    }
+  }
+
+  const make = (props.make || "").trim().toLowerCase();
+  if (make && decoded.manufacturers && !decoded.manufacturers.some((m) => make.includes(m) || m.includes(make))) {
+    warnings.push(`Make "${props.make}" does not match the VIN manufacturer (${decoded.manufacturers[0]})`);
+  }
+
+  const { valid, ...vinInfo } = decoded;
+  return { vinInfo, warnings };
+}
+
+// ---- Optional HubSpot mirror so staff still see vehicles on the contact record.
+// Set VEHICLES_HUBSPOT_PROPERTY to a (multi-line text) contact property name to enable.
+const VEHICLES_HUBSPOT_PROPERTY = (process.env.VEHICLES_HUBSPOT_PROPERTY || "").trim();
+
+function vehicleSummaryLine(v) {
+  const details = [v.plate, v.color, v.vin && `VIN ${v.vin}`].filter(Boolean).join(", ");
+  return details ? `${v.name} (${details})` : v.name;
+}
+
+// Best-effort: a HubSpot failure never fails the vehicle write
+async function mirrorVehicleSummaryToHubSpot(email) {
+  if (!VEHICLES_HUBSPOT_PROPERTY) return;
+  try {
+    const contact = await getContactByEmail(email);
+    if (!contact || !contact.id) return;
+
+    const vehicles = await listVehicles(email);
+    await hs.patch(`/crm/v3/objects/contacts/${contact.id}`, {
+      properties: {
+        [VEHICLES_HUBSPOT_PROPERTY]: vehicles.map(vehicleSummaryLine).join("\n"),
+      },
+    });
+  } catch (err) {
+    console.warn("mirrorVehicleSummaryToHubSpot failed:", email, err.response?.data || err.message);
+  }
+}
+
+function sameVehicleFields(a, b) {
+  return VEHICLE_FIELDS.every((k) => (a[k] || "") === (b[k] || ""));
+}
+
 // Normalize vehicle properties from incoming payload
 function normalizeVehicleProps(obj) {
   const result = {};
-  const keys = ["name", "make", "model", "year", "color", "plate"];
-  for (const key of keys) {
+  for (const key of VEHICLE_FIELDS) {
     if (Object.prototype.hasOwnProperty.call(obj, key)) {
       const val = obj[key];
       if (val != null) {
@@ -605,6 +1750,10 @@ function normalizeVehicleProps(obj) {
     }
   }
 
+  if (result.vin != null) {
+    result.vin = result.vin.replace(/[\s-]/g, "").toUpperCase();
+  }
+
   if (!result.name) {
     const parts = [];
     if (result.year) parts.push(result.year);
@@ -617,273 +1766,863 @@ function normalizeVehicleProps(obj) {
   return result;
 }
 
-// Sync vehicles array to HubSpot notes (one note per vehicle)
-app.post("/vehicles/sync", async (req, res) => {
+// POST /vehicles  { name?, make, model, year, color, plate }
+// Creates one vehicle for the caller
+app.post("/vehicles", async (req, res) => {
   try {
-    const email = (req.body.email ?? "").toString().trim();
-    const rawVehicles = Array.isArray(req.body.vehicles)
-      ? req.body.vehicles
-      : [];
-
+    const email = callerEmail(req, req.body?.email);
     if (!email) {
       return res.status(400).json({ error: "email is required" });
     }
 
-    const contact = await getContactByEmail(email);
-    if (!contact || !contact.id) {
-      return res.status(404).json({ error: "contact_not_found" });
+    const input = req.body?.vehicle && typeof req.body.vehicle === "object" ? req.body.vehicle : req.body || {};
+    const props = normalizeVehicleProps(input);
+    const vinCheck = checkVehicleVin(props);
+    if (vinCheck.error) {
+      return res.status(400).json({ error: "invalid_vin", details: vinCheck.error });
     }
 
-    const contactId = contact.id;
-
-    const assocResp = await hs.get(
-      `/crm/v3/objects/contacts/${contactId}/associations/notes`
-    );
-   const existingNoteIds =
-  assocResp.data?.results?.map((r) => r.id).filter(Boolean) || [];
+    const vehicle = await insertVehicle(email, props);
+    await mirrorVehicleSummaryToHubSpot(email);
 
+    return res.status(201).json({
+      email,
+      vehicle,
+      vinInfo: vinCheck.vinInfo,
+      warnings: vinCheck.warnings,
+    });
+  } catch (err) {
+    const status = err.response?.status || 500;
+    const data = err.response?.data || err.message;
+    console.error("POST /vehicles error:", data);
+    return res.status(status).json({ error: "server_error", details: data });
+  }
+});
 
-    for (const noteId of existingNoteIds) {
-      try {
-        await hs.delete(`/crm/v3/objects/notes/${noteId}`);
-      } catch (err) {
-        console.warn(
-          "Failed to delete note",
-          noteId,
-          err.response?.data || err.message
-        );
-      }
+// PATCH /vehicles/:id  { any of name, make, model, year, color, plate }
+// Only fields sent are changed; id stays the same
+app.patch("/vehicles/:id", async (req, res) => {
+  try {
+    const email = callerEmail(req, req.body?.email);
+    if (!email) {
+      return res.status(400).json({ error: "email is required" });
     }
 
-    const created = [];
-    for (const v of rawVehicles) {
-      const props = normalizeVehicleProps(v);
-      const noteBody = {
-        name: props.name,
-        make: props.make || "",
-        model: props.model || "",
-        year: props.year || "",
-        color: props.color || "",
-        plate: props.plate || "",
-      };
-
-      const note = await createNote(noteBody);
-      await associateNoteToContact(note.id, contactId);
+    const existing = (await listVehicles(email)).find((v) => v.id === req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: "vehicle_not_found" });
+    }
 
-      created.push({
-        id: note.id,
-        ...noteBody,
-      });
+    const input = req.body?.vehicle && typeof req.body.vehicle === "object" ? req.body.vehicle : req.body || {};
+    const props = normalizeVehicleProps({ ...existing, ...input });
+    const vinCheck = checkVehicleVin(props);
+    if (vinCheck.error) {
+      return res.status(400).json({ error: "invalid_vin", details: vinCheck.error });
     }
 
+    const vehicle = await updateVehicle(email, existing.id, props);
+    await mirrorVehicleSummaryToHubSpot(email);
+
     return res.json({
       email,
-      contactId,
-      vehicles: created,
-      debug: {
-        requestedCount: rawVehicles.length,
-        createdCount: created.length,
-        deletedCount: existingNoteIds.length,
-      },
+      vehicle,
+      vinInfo: vinCheck.vinInfo,
+      warnings: vinCheck.warnings,
     });
   } catch (err) {
     const status = err.response?.status || 500;
     const data = err.response?.data || err.message;
-    console.error("POST /vehicles/sync error:", data);
+    console.error("PATCH /vehicles/:id error:", data);
     return res.status(status).json({ error: "server_error", details: data });
   }
 });
 
-
-// HubSpot webhook endpoint (configure URL in HubSpot):
-// https://hubspot-bff.onrender.com/hubspot/webhook
-app.all("/hubspot/webhook", async (req, res) => {
-  // Always respond 200 immediately (HubSpot retries on non-2xx)
-  res.status(200).json({ ok: true });
-
-  // Log method + URL so you can see if HubSpot is GET’ing you
-  console.log("HUBSPOT WEBHOOK HIT:", req.method, req.originalUrl);
-
+// DELETE /vehicles/:id
+app.delete("/vehicles/:id", async (req, res) => {
   try {
-    if (!admin.apps.length) return;
+    const email = callerEmail(req, req.body?.email ?? req.query?.email);
+    if (!email) {
+      return res.status(400).json({ error: "email is required" });
+    }
 
-    const events = Array.isArray(req.body) ? req.body : [];
-    console.log("HUBSPOT BODY:", JSON.stringify(events, null, 2));
-    console.log("HUBSPOT WEBHOOK HIT:", req.method, req.originalUrl);
-console.log("HUBSPOT BODY:", JSON.stringify(events, null, 2));
+    const deleted = await deleteVehicle(email, req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: "vehicle_not_found" });
+    }
+    await mirrorVehicleSummaryToHubSpot(email);
 
+    return res.json({ ok: true, id: req.params.id });
+  } catch (err) {
+    const status = err.response?.status || 500;
+    const data = err.response?.data || err.message;
+    console.error("DELETE /vehicles/:id error:", data);
+    return res.status(status).json({ error: "server_error", details: data });
+  }
+});
 
-    for (const ev of events) {
-      const objectId = ev.objectId;
-      const subscriptionType = (ev.subscriptionType ?? "").toString().toLowerCase();
+// POST /vehicles/sync  { vehicles: [ { id?, name, make, ... } ] }
+// Diff-based upsert in one transaction: vehicles with a known id are updated in place
+// (only if changed), vehicles without one are created, and the caller's vehicles
+// missing from the list are deleted.
+app.post("/vehicles/sync", async (req, res) => {
+  const client = await pool.connect().catch((err) => {
+    console.error("POST /vehicles/sync db error:", err.message);
+    return null;
+  });
+  if (!client) {
+    return res.status(500).json({ error: "server_error", details: "database_unavailable" });
+  }
 
-      const isEmailish =
-        subscriptionType.includes("email") || subscriptionType.includes("engagement");
-      if (!isEmailish || !objectId) continue;
+  try {
+    const email = callerEmail(req, req.body?.email);
+    const rawVehicles = Array.isArray(req.body.vehicles)
+      ? req.body.vehicles
+      : [];
 
-      let contactEmail = null;
+    if (!email) {
+      return res.status(400).json({ error: "email is required" });
+    }
 
-      try {
-        const assocResp = await hs.get(
-          `/crm/v3/objects/emails/${objectId}/associations/contacts`
-        );
-        const contactIds =
-          assocResp.data?.results?.map((r) => r.id).filter(Boolean) ?? [];
-
-        if (contactIds.length) {
-          const cResp = await hs.get(`/crm/v3/objects/contacts/${contactIds[0]}`, {
-            params: { properties: "email" },
-          });
-          contactEmail = (cResp.data?.properties?.email ?? "")
-            .toString()
-            .trim()
-            .toLowerCase();
+    // Validate every VIN before writing anything
+    const warnings = [];
+    for (let i = 0; i < rawVehicles.length; i++) {
+      const vinCheck = checkVehicleVin(normalizeVehicleProps(rawVehicles[i] || {}));
+      if (vinCheck.error) {
+        return res.status(400).json({ error: "invalid_vin", index: i, details: vinCheck.error });
+      }
+      if (vinCheck.warnings.length) {
+        warnings.push({ index: i, id: rawVehicles[i]?.id ?? null, messages: vinCheck.warnings });
+      }
+    }
+
+    await client.query("begin");
+
+    const existing = await listVehicles(email, client);
+    const existingById = new Map(existing.map((v) => [v.id, v]));
+
+    const result = [];
+    const keptIds = new Set();
+    let createdCount = 0;
+    let updatedCount = 0;
+
+    for (const v of rawVehicles) {
+      const id = v?.id != null ? String(v.id) : "";
+      const current = id ? existingById.get(id) : null;
+
+      if (current && !keptIds.has(id)) {
+        keptIds.add(id);
+        const props = normalizeVehicleProps({ ...current, ...v });
+        if (sameVehicleFields(current, props)) {
+          result.push(current);
+        } else {
+          result.push(await updateVehicle(email, id, props, client));
+          updatedCount++;
         }
-      } catch {
         continue;
       }
 
-      if (!contactEmail) continue;
-
-      const tokenSet = deviceTokensByEmail.get(contactEmail);
-      if (!tokenSet || tokenSet.size === 0) continue;
+      result.push(await insertVehicle(email, normalizeVehicleProps(v || {}), {}, client));
+      createdCount++;
+    }
 
-      await admin.messaging().sendEachForMulticast({
-        tokens: Array.from(tokenSet),
-        notification: {
-          title: "Gas Me Up Update",
-          body: "New HubSpot message/status update.",
-        },
-        data: { type: "hubspot_event", objectId: String(objectId) },
-      });
+    let deletedCount = 0;
+    for (const v of existing) {
+      if (keptIds.has(v.id)) continue;
+      if (await deleteVehicle(email, v.id, client)) deletedCount++;
     }
+
+    await client.query("commit");
+    await mirrorVehicleSummaryToHubSpot(email);
+
+    return res.json({
+      email,
+      vehicles: result,
+      warnings,
+      debug: {
+        requestedCount: rawVehicles.length,
+        createdCount,
+        updatedCount,
+        deletedCount,
+        unchangedCount: result.length - createdCount - updatedCount,
+      },
+    });
   } catch (err) {
-    console.error("hubspot webhook error:", err?.response?.data || err?.message || err);
+    await client.query("rollback").catch(() => {});
+    const status = err.response?.status || 500;
+    const data = err.response?.data || err.message;
+    console.error("POST /vehicles/sync error:", data);
+    return res.status(status).json({ error: "server_error", details: data });
+  } finally {
+    client.release();
   }
 });
 
-// HubSpot sometimes "pings" endpoints with GET. Return 200 so validation passes.
-app.post("/hubspot/email-logged", async (req, res) => {
-  try {
-    console.log("HUBSPOT EMAIL LOGGED POST body:", req.body);
+// ---- One-time import: HubSpot vehicle notes -> vehicles table
+// Run with: npm run import:vehicles [-- someone@example.com ...]
+// Without emails it walks every contact. Safe to re-run: already imported notes are skipped.
+async function importVehiclesForContact(contactId, email) {
+  const notes = await listContactNotes(contactId);
+  let imported = 0;
+  for (const v of parseVehiclesFromNotes(notes)) {
+    const row = await insertVehicle(email, normalizeVehicleProps(v), {
+      id: String(v.id),
+      sourceNoteId: String(v.id),
+    });
+    if (row) imported++;
+  }
+  return imported;
+}
 
-    // HubSpot sends an array of events
-    const event = Array.isArray(req.body) ? req.body[0] : req.body;
-    if (!event?.objectId || event?.objectTypeId !== "0-49") {
-      console.log("Not an email engagement event, ignoring");
-      return res.status(200).json({ ok: true, ignored: true });
+async function importVehiclesFromHubSpot(emails = []) {
+  await ensureSchema();
+
+  const contacts = [];
+  if (emails.length) {
+    for (const email of emails) {
+      const contact = await getContactByEmail(email);
+      if (contact?.id) contacts.push({ id: contact.id, email });
+      else console.warn("IMPORT VEHICLES: no contact for", email);
+    }
+  } else {
+    let after;
+    do {
+      const resp = await hs.get("/crm/v3/objects/contacts", {
+        params: { limit: 100, properties: "email", ...(after ? { after } : {}) },
+      });
+      for (const c of resp.data?.results || []) {
+        const email = (c.properties?.email ?? "").toString().trim();
+        if (email) contacts.push({ id: c.id, email });
+      }
+      after = resp.data?.paging?.next?.after;
+    } while (after);
+  }
+
+  let total = 0;
+  for (const { id, email } of contacts) {
+    try {
+      const imported = await importVehiclesForContact(id, email);
+      if (imported) console.log("IMPORT VEHICLES", { email, imported });
+      total += imported;
+    } catch (err) {
+      if (err.response?.status === 429) {
+        // simple backoff and retry once
+        await sleep(10000);
+        total += await importVehiclesForContact(id, email);
+      } else {
+        console.error("IMPORT VEHICLES failed for", email, err.response?.data || err.message);
+      }
     }
+    // Stay under HubSpot's per-second limit (2 calls per contact)
+    await sleep(250);
+  }
 
-    const emailObjectId = event.objectId;
+  console.log("IMPORT VEHICLES done", { contacts: contacts.length, imported: total });
+  return total;
+}
 
-    // 1️⃣ Fetch email engagement details
-    const emailResp = await hs.get(
-      `/crm/v3/objects/0-49/${emailObjectId}`,
-      {
-        params: {
-          properties: "hs_email_subject,hs_email_text,hs_email_html"
+// ---- HubSpot webhook signatures (X-HubSpot-Signature-v3)
+// signature = base64(HMAC-SHA256(client secret, method + uri + raw body + timestamp)),
+// timestamp = X-HubSpot-Request-Timestamp (ms), rejected when older than 5 minutes.
+// Set VERIFY_HUBSPOT_SIGNATURES=false to post test events locally.
+const HUBSPOT_CLIENT_SECRET = process.env.HUBSPOT_CLIENT_SECRET || "";
+const VERIFY_HUBSPOT_SIGNATURES =
+  (process.env.VERIFY_HUBSPOT_SIGNATURES ?? "true").toString().trim().toLowerCase() !== "false";
+// Public origin HubSpot calls (e.g. https://hubspot-bff.onrender.com); defaults to the request's
+const HUBSPOT_WEBHOOK_BASE_URL = (process.env.HUBSPOT_WEBHOOK_BASE_URL || "").replace(/\/+$/, "");
+const HUBSPOT_SIGNATURE_MAX_AGE_MS = 5 * 60 * 1000;
+const HUBSPOT_WEBHOOK_PATHS = new Set(["/hubspot/webhook", "/hubspot/email-logged"]);
+
+// HubSpot signs the URI with these characters decoded
+const HUBSPOT_URI_DECODES = {
+  "%3A": ":", "%2F": "/", "%3F": "?", "%40": "@", "%21": "!", "%24": "$",
+  "%27": "'", "%28": "(", "%29": ")", "%2A": "*", "%2C": ",", "%3B": ";",
+};
+
+function hubspotSignedUri(req) {
+  const proto = (req.headers["x-forwarded-proto"] ?? req.protocol).toString().split(",")[0].trim();
+  const base = HUBSPOT_WEBHOOK_BASE_URL || `${proto}://${req.get("host")}`;
+  return `${base}${req.originalUrl}`.replace(
+    /%(3A|2F|3F|40|21|24|27|28|29|2A|2C|3B)/gi,
+    (m) => HUBSPOT_URI_DECODES[m.toUpperCase()]
+  );
+}
+
+// null when the request is signed by HubSpot, otherwise the reason it isn't
+function checkHubSpotSignature(req) {
+  if (!HUBSPOT_CLIENT_SECRET) return "client_secret_not_configured";
+
+  const signature = (req.headers["x-hubspot-signature-v3"] ?? "").toString();
+  const timestamp = (req.headers["x-hubspot-request-timestamp"] ?? "").toString();
+  if (!signature || !timestamp) return "missing_signature";
+
+  const ts = Number(timestamp);
+  if (!Number.isFinite(ts) || Math.abs(Date.now() - ts) > HUBSPOT_SIGNATURE_MAX_AGE_MS) {
+    return "stale_timestamp";
+  }
+
+  const body = req.rawBody ? req.rawBody.toString("utf8") : "";
+  const expected = crypto
+    .createHmac("sha256", HUBSPOT_CLIENT_SECRET)
+    .update(`${req.method}${hubspotSignedUri(req)}${body}${timestamp}`, "utf8")
+    .digest();
+  const given = Buffer.from(signature, "base64");
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return "bad_signature";
+  }
+  return null;
+}
+
+// GET/HEAD pings carry no events and are let through
+function requireHubSpotSignature(req, res, next) {
+  if (!VERIFY_HUBSPOT_SIGNATURES || req.method === "GET" || req.method === "HEAD") return next();
+
+  const problem = checkHubSpotSignature(req);
+  if (problem) {
+    console.warn("HUBSPOT SIGNATURE REJECTED", {
+      reason: problem,
+      method: req.method,
+      url: req.originalUrl,
+      ip: req.ip,
+    });
+    return res.status(401).json({ error: "invalid_signature" });
+  }
+  return next();
+}
+
+// ---- Refill status pushes
+// HubSpot "object.propertyChange" events for tasks (objectTypeId 0-27) on the subject or
+// hs_task_status. The task's status is re-read and parsed exactly like /refills/history;
+// refill_status_notifications remembers the last status pushed so edits that don't change
+// it (or a subject and status change arriving as two events) don't notify twice.
+// Events are processed one at a time by the webhook queue.
+const TASK_OBJECT_TYPE_ID = "0-27";
+const REFILL_STATUS_PROPERTIES = new Set(["hs_task_subject", "hs_task_status"]);
+const APP_DEEP_LINK_BASE = process.env.APP_DEEP_LINK_BASE || "gasmeup://";
+
+const REFILL_STATUS_PUSH_TEXT = {
+  0: { title: "Refill in progress", body: "Your refill is back on the schedule." },
+  1: { title: "Refill completed", body: "Your refill is done. Thanks for using Gas Me Up!" },
+  2: { title: "Refill canceled", body: "Your refill was canceled. Open the app for details." },
+};
+
+function isRefillStatusChangeEvent(ev) {
+  const subscriptionType = (ev?.subscriptionType ?? "").toString().toLowerCase();
+  const isTaskChange =
+    (subscriptionType === "object.propertychange" && String(ev.objectTypeId) === TASK_OBJECT_TYPE_ID) ||
+    subscriptionType === "task.propertychange";
+  return isTaskChange && REFILL_STATUS_PROPERTIES.has(ev.propertyName);
+}
+
+// Whether statusCode is news to the customer. The first status seen for a task only is
+// when it isn't "In progress" (that's just the booking itself).
+async function isNewRefillStatus(taskId, statusCode) {
+  const { rows } = await pool.query(
+    `select status_code from refill_status_notifications where task_id = $1`,
+    [String(taskId)]
+  );
+  return rows[0] ? rows[0].status_code !== statusCode : statusCode !== 0;
+}
+
+async function recordRefillStatus(taskId, statusCode) {
+  await pool.query(
+    `
+    insert into refill_status_notifications (task_id, status_code)
+    values ($1, $2)
+    on conflict (task_id)
+    do update set status_code = excluded.status_code, notified_at = now()
+    `,
+    [String(taskId), statusCode]
+  );
+}
+
+async function handleRefillStatusChange(taskId) {
+  let task;
+  try {
+    const taskResp = await hs.get(`/crm/v3/objects/tasks/${encodeURIComponent(taskId)}`, {
+      params: { properties: REFILL_TASK_PROPERTIES.join(","), associations: "contacts" },
+    });
+    task = taskResp.data;
+  } catch (err) {
+    if (err.response?.status === 404) return;
+    throw err;
+  }
+  if (!isRefillTaskSubject(task?.properties?.hs_task_subject)) return;
+
+  const { subject, statusCode, statusLabel } = parseRefillStatus(task.properties);
+  if (!(await isNewRefillStatus(task.id, statusCode))) return;
+
+  const contactId = (task.associations?.contacts?.results || [])[0]?.id;
+  const cResp = contactId
+    ? await hs.get(`/crm/v3/objects/contacts/${contactId}`, { params: { properties: "email" } })
+    : null;
+  const email = (cResp?.data?.properties?.email ?? "").toString().trim().toLowerCase();
+
+  if (!email) {
+    await recordRefillStatus(task.id, statusCode);
+    return;
+  }
+
+  const text = REFILL_STATUS_PUSH_TEXT[statusCode] || REFILL_STATUS_PUSH_TEXT[0];
+  const resp = await sendPushToEmail(email, {
+    title: text.title,
+    body: text.body,
+    data: {
+      type: "refill_status",
+      taskId: task.id,
+      statusCode,
+      statusLabel,
+      subject,
+      deepLink: `${APP_DEEP_LINK_BASE}refills/${task.id}`,
+    },
+  });
+
+  // Recorded only once sent, so a failed send is retried with the event
+  await recordRefillStatus(task.id, statusCode);
+
+  console.log("REFILL STATUS PUSH", {
+    taskId: task.id,
+    email,
+    statusLabel,
+    suppressed: resp.suppressed,
+    successCount: resp.successCount,
+    failureCount: resp.failureCount,
+  });
+}
+
+// ---- Inbound webhook queue
+// Both HubSpot routes only store the events (hubspot_webhook_events, keyed by eventId so
+// redeliveries are dropped) and reply 200; processWebhookQueue does the HubSpot/FCM work.
+// A failed event is retried after WEBHOOK_RETRY_BASE_SECONDS, doubling each time, and is
+// marked dead after WEBHOOK_MAX_ATTEMPTS. Dead events can be listed and replayed by admins.
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const WEBHOOK_RETRY_BASE_SECONDS = Number(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30;
+const WEBHOOK_RETRY_MAX_SECONDS = 6 * 3600;
+const WEBHOOK_WORKER_INTERVAL_SECONDS = 10;
+const WEBHOOK_BATCH_SIZE = 20;
+// A "processing" event older than this was lost to a restart and is picked up again
+const WEBHOOK_LOCK_TIMEOUT_MINUTES = 5;
+const WEBHOOK_DONE_RETENTION_DAYS = 30;
+
+// Queue key for an event. HubSpot doesn't promise eventId is unique on its own, so it is
+// scoped to the receiving route and the webhook subscription; workflow webhooks may
+// carry no eventId at all, so those are hashed.
+function webhookEventId(source, ev) {
+  if (ev?.eventId != null) {
+    return [source, ev.subscriptionId ?? "", ev.eventId].join(":");
+  }
+  const digest = crypto.createHash("sha256").update(`${source}:${JSON.stringify(ev)}`).digest("hex");
+  return `sha256:${digest}`;
+}
+
+async function enqueueWebhookEvents(source, events) {
+  let queued = 0;
+  for (const ev of events) {
+    const result = await pool.query(
+      `
+      insert into hubspot_webhook_events (event_id, source, payload)
+      values ($1, $2, $3)
+      on conflict (event_id) do nothing
+      `,
+      [webhookEventId(source, ev), source, JSON.stringify(ev)]
+    );
+    queued += result.rowCount;
+  }
+  return queued;
+}
+
+async function claimWebhookEvents(limit) {
+  const { rows } = await pool.query(
+    `
+    update hubspot_webhook_events
+    set status = 'processing', attempts = attempts + 1, locked_at = now()
+    where event_id in (
+      select event_id
+      from hubspot_webhook_events
+      where (status = 'pending' and next_attempt_at <= now())
+         or (status = 'processing' and locked_at < now() - make_interval(mins => $2::int))
+      order by next_attempt_at
+      limit $1
+      for update skip locked
+    )
+    returning *
+    `,
+    [limit, WEBHOOK_LOCK_TIMEOUT_MINUTES]
+  );
+  return rows;
+}
+
+function webhookRetryDelaySeconds(attempts) {
+  return Math.min(WEBHOOK_RETRY_BASE_SECONDS * 2 ** (attempts - 1), WEBHOOK_RETRY_MAX_SECONDS);
+}
+
+async function finishWebhookEvent(row, err) {
+  if (!err) {
+    await pool.query(
+      `
+      update hubspot_webhook_events
+      set status = 'done', processed_at = now(), locked_at = null, last_error = null
+      where event_id = $1
+      `,
+      [row.event_id]
+    );
+    return;
+  }
+
+  const dead = row.attempts >= WEBHOOK_MAX_ATTEMPTS;
+  const message = JSON.stringify(err.response?.data ?? err.message ?? String(err)).slice(0, 2000);
+  await pool.query(
+    `
+    update hubspot_webhook_events
+    set status = $2,
+        locked_at = null,
+        last_error = $3,
+        next_attempt_at = now() + make_interval(secs => $4::int)
+    where event_id = $1
+    `,
+    [row.event_id, dead ? "dead" : "pending", message, webhookRetryDelaySeconds(row.attempts)]
+  );
+
+  if (dead) {
+    console.error("WEBHOOK EVENT DEAD", { eventId: row.event_id, attempts: row.attempts, error: message });
+  } else {
+    console.warn("WEBHOOK EVENT RETRY", { eventId: row.event_id, attempts: row.attempts, error: message });
+  }
+}
+
+const WEBHOOK_HANDLERS = {
+  webhook: handleHubSpotWebhookEvent,
+  "email-logged": handleEmailLoggedEvent,
+};
+
+let webhookWorkerBusy = false;
+
+async function processWebhookQueue() {
+  if (webhookWorkerBusy) return;
+  webhookWorkerBusy = true;
+  try {
+    for (;;) {
+      const rows = await claimWebhookEvents(WEBHOOK_BATCH_SIZE);
+      if (rows.length === 0) break;
+
+      for (const row of rows) {
+        try {
+          await WEBHOOK_HANDLERS[row.source](row.payload, row.event_id);
+          await finishWebhookEvent(row, null);
+        } catch (err) {
+          await finishWebhookEvent(row, err);
         }
       }
-    );
+    }
+  } finally {
+    webhookWorkerBusy = false;
+  }
+}
 
-    const subject =
-      emailResp.data?.properties?.hs_email_subject ?? " ";
+// Run the worker without holding up the caller
+function kickWebhookQueue() {
+  processWebhookQueue().catch((e) => console.error("Webhook queue failed:", e.message));
+}
 
-    const bodyText =
-      emailResp.data?.properties?.hs_email_text ??
-      emailResp.data?.properties?.hs_email_html ??
-      "";
+function startWebhookWorker() {
+  setInterval(kickWebhookQueue, WEBHOOK_WORKER_INTERVAL_SECONDS * 1000).unref();
+}
+
+async function pruneWebhookEvents() {
+  const result = await pool.query(
+    `
+    delete from hubspot_webhook_events
+    where status = 'done' and processed_at < now() - make_interval(days => $1::int)
+    `,
+    [WEBHOOK_DONE_RETENTION_DAYS]
+  );
+  if (result.rowCount) {
+    console.log("Pruned webhook events:", result.rowCount);
+  }
+}
+
+// Per-recipient markers for events that push to several people, so a retry after a
+// partial failure only sends to those not reached yet
+async function isWebhookDelivered(eventId, recipient) {
+  const { rows } = await pool.query(
+    `select 1 from hubspot_webhook_deliveries where event_id = $1 and recipient = $2`,
+    [eventId, String(recipient)]
+  );
+  return rows.length > 0;
+}
+
+async function markWebhookDelivered(eventId, recipient) {
+  await pool.query(
+    `
+    insert into hubspot_webhook_deliveries (event_id, recipient)
+    values ($1, $2)
+    on conflict do nothing
+    `,
+    [eventId, String(recipient)]
+  );
+}
+
+function serializeWebhookEvent(row) {
+  return {
+    eventId: row.event_id,
+    source: row.source,
+    status: row.status,
+    attempts: row.attempts,
+    lastError: row.last_error,
+    nextAttemptAt: row.next_attempt_at,
+    receivedAt: row.received_at,
+    processedAt: row.processed_at,
+    payload: row.payload,
+  };
+}
+
+// ---- Event handlers (run by the queue; throwing means "retry later")
+
+// Email/engagement events and refill task status changes (subscribe to
+// object.propertyChange for tasks on hs_task_subject and hs_task_status).
+async function handleHubSpotWebhookEvent(ev) {
+  // Retried (then dead-lettered) rather than dropped while push is unavailable
+  if (!admin.apps.length) {
+    throw new Error("firebase_admin_not_initialized");
+  }
+
+  const objectId = ev.objectId;
+  const subscriptionType = (ev.subscriptionType ?? "").toString().toLowerCase();
+
+  if (isRefillStatusChangeEvent(ev)) {
+    await handleRefillStatusChange(objectId);
+    return;
+  }
+
+  const isEmailish =
+    subscriptionType.includes("email") || subscriptionType.includes("engagement");
+  if (!isEmailish || !objectId) return;
 
-    const preview = bodyText.replace(/<[^>]+>/g, "").slice(0, 160);
+  let contactEmail = null;
 
-    // 2️⃣ Find associated contacts
+  try {
     const assocResp = await hs.get(
-      `/crm/v4/objects/0-49/${emailObjectId}/associations/0-1`
+      `/crm/v3/objects/emails/${objectId}/associations/contacts`
     );
+    const contactIds =
+      assocResp.data?.results?.map((r) => r.id).filter(Boolean) ?? [];
 
-    const contactIds = assocResp.data?.results?.map(r => r.toObjectId) ?? [];
-
-    if (!contactIds.length) {
-      console.log("Email has no associated contacts");
-      return res.status(200).json({ ok: true, noContacts: true });
+    if (contactIds.length) {
+      const cResp = await hs.get(`/crm/v3/objects/contacts/${contactIds[0]}`, {
+        params: { properties: "email" },
+      });
+      contactEmail = (cResp.data?.properties?.email ?? "")
+        .toString()
+        .trim()
+        .toLowerCase();
     }
+  } catch (err) {
+    // The email was deleted before we got to it
+    if (err.response?.status === 404) return;
+    throw err;
+  }
 
-    // 3️⃣ Fetch each contact email + send push
-    for (const contactId of contactIds) {
-      const contactResp = await hs.get(
-        `/crm/v3/objects/0-1/${contactId}`,
-        { params: { properties: "email" } }
-      );
+  if (!contactEmail) return;
 
-      const email =
-        contactResp.data?.properties?.email?.toLowerCase() ?? null;
+  await sendPushToEmail(contactEmail, {
+    title: "Gas Me Up Update",
+    body: "New HubSpot message/status update.",
+    data: { type: "hubspot_event", objectId },
+  });
+}
 
-            console.log("HUBSPOT CONTACT EMAIL (lookup key):", email);
+// A logged email (object type 0-49): push its preview to every associated contact
+// (each contact at most once per event, see markWebhookDelivered)
+async function handleEmailLoggedEvent(event, eventId) {
+  if (!event?.objectId || event?.objectTypeId !== "0-49") {
+    console.log("Not an email engagement event, ignoring");
+    return;
+  }
 
-      
-      if (!email) continue;
+  const emailObjectId = event.objectId;
 
-      
+  // 1️⃣ Fetch email engagement details
+  const emailResp = await hs.get(
+    `/crm/v3/objects/0-49/${emailObjectId}`,
+    {
+      params: {
+        properties: "hs_email_subject,hs_email_text,hs_email_html"
+      }
+    }
+  );
 
+  const bodyText =
+    emailResp.data?.properties?.hs_email_text ??
+    emailResp.data?.properties?.hs_email_html ??
+    "";
 
-      let tokens = await getTokensByEmail(email);
+  const preview = bodyText.replace(/<[^>]+>/g, "").slice(0, 160);
 
-if (!tokens.length) {
-  // ✅ small grace period in case token registration is happening at the same time
-  await new Promise(r => setTimeout(r, 1500));
-  tokens = await getTokensByEmail(email);
-}
+  // 2️⃣ Find associated contacts
+  const assocResp = await hs.get(
+    `/crm/v4/objects/0-49/${emailObjectId}/associations/0-1`
+  );
 
-if (!tokens.length) {
-  console.log("No tokens for contact", email);
-  continue;
-}
+  const contactIds = assocResp.data?.results?.map(r => r.toObjectId) ?? [];
 
+  if (!contactIds.length) {
+    console.log("Email has no associated contacts");
+    return;
+  }
 
+  // 3️⃣ Fetch each contact email + send push
+  for (const contactId of contactIds) {
+    if (await isWebhookDelivered(eventId, contactId)) continue;
 
+    const contactResp = await hs.get(
+      `/crm/v3/objects/0-1/${contactId}`,
+      { params: { properties: "email" } }
+    );
 
-      //const tokens = Array.from(tokenSet);
+    const email =
+      contactResp.data?.properties?.email?.toLowerCase() ?? null;
 
-      const resp = await admin.messaging().sendEachForMulticast({
-        tokens,
-        notification: {
-          title: "Gas Me Up",              // ✅ always this
-          body: `${preview}`.slice(0, 180)
-        },
+    console.log("HUBSPOT CONTACT EMAIL (lookup key):", email);
+    if (!email) {
+      await markWebhookDelivered(eventId, contactId);
+      continue;
+    }
+
+    const resp = await sendPushToEmail(
+      email,
+      {
+        title: "Gas Me Up",              // ✅ always this
+        body: `${preview}`.slice(0, 180),
         data: {
           type: "hubspot_email_logged",
           email,
-          hubspotEmailId: String(emailObjectId)
-        }
-      });
+          hubspotEmailId: emailObjectId,
+        },
+      },
+      // small grace period in case token registration is happening at the same time
+      { tokenGraceMs: 1500 }
+    );
+    await markWebhookDelivered(eventId, contactId);
 
-      console.log("PUSH SENT", {
-        email,
-        successCount: resp.successCount,
-        failureCount: resp.failureCount
-      });
+    if (resp.suppressed) continue;
+    if (!resp.tokenCount) {
+      console.log("No tokens for contact", email);
+      continue;
     }
 
-    return res.status(200).json({ ok: true });
+    console.log("PUSH SENT", {
+      email,
+      successCount: resp.successCount,
+      failureCount: resp.failureCount
+    });
+  }
+}
+
+// ---- Routes
+
+// HubSpot webhook endpoint (configure URL in HubSpot):
+// https://hubspot-bff.onrender.com/hubspot/webhook
+app.all("/hubspot/webhook", requireHubSpotSignature, async (req, res) => {
+  // Log method + URL so you can see if HubSpot is GET’ing you
+  console.log("HUBSPOT WEBHOOK HIT:", req.method, req.originalUrl);
+
+  try {
+    const events = Array.isArray(req.body) ? req.body : [];
+    console.log("HUBSPOT BODY:", JSON.stringify(events, null, 2));
+
+    const queued = await enqueueWebhookEvents("webhook", events);
+    kickWebhookQueue();
+
+    return res.status(200).json({ ok: true, queued });
+  } catch (err) {
+    // Not stored: a non-2xx makes HubSpot redeliver
+    console.error("hubspot webhook error:", err?.message || err);
+    return res.status(500).json({ error: "server_error" });
+  }
+});
+
+app.post("/hubspot/email-logged", requireHubSpotSignature, async (req, res) => {
+  try {
+    console.log("HUBSPOT EMAIL LOGGED POST body:", req.body);
+
+    // HubSpot sends an array of events
+    const events = Array.isArray(req.body) ? req.body : [req.body];
+    const queued = await enqueueWebhookEvents("email-logged", events);
+    kickWebhookQueue();
+
+    return res.status(200).json({ ok: true, queued });
   } catch (err) {
     console.error("POST /hubspot/email-logged error:", err);
     return res.status(500).json({ error: "server_error" });
   }
 });
 
+// GET /hubspot/webhook-events?status=dead|pending|processing|done&limit=   (header x-admin-key)
+// Defaults to dead events, newest first
+app.get("/hubspot/webhook-events", requireAdmin, async (req, res) => {
+  try {
+    const status = (req.query.status ?? "dead").toString();
+    if (!["pending", "processing", "done", "dead"].includes(status)) {
+      return res.status(400).json({ error: "invalid status" });
+    }
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 500);
+
+    const { rows } = await pool.query(
+      `
+      select *
+      from hubspot_webhook_events
+      where status = $1
+      order by received_at desc
+      limit $2
+      `,
+      [status, limit]
+    );
+
+    return res.json({ status, events: rows.map(serializeWebhookEvent) });
+  } catch (err) {
+    console.error("GET /hubspot/webhook-events error:", err.message);
+    return res.status(500).json({ error: "server_error" });
+  }
+});
+
+// POST /hubspot/webhook-events/:eventId/replay   (header x-admin-key)
+// Puts a dead (or done) event back in the queue with a fresh attempt count
+app.post("/hubspot/webhook-events/:eventId/replay", requireAdmin, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `
+      update hubspot_webhook_events
+      set status = 'pending', attempts = 0, next_attempt_at = now(), locked_at = null
+      where event_id = $1 and status in ('dead', 'done')
+      returning *
+      `,
+      [req.params.eventId]
+    );
+    if (!rows[0]) {
+      return res.status(404).json({ error: "event_not_found_or_in_queue" });
+    }
+
+    kickWebhookQueue();
+    return res.json({ ok: true, event: serializeWebhookEvent(rows[0]) });
+  } catch (err) {
+    console.error("POST /hubspot/webhook-events/:eventId/replay error:", err.message);
+    return res.status(500).json({ error: "server_error" });
+  }
+});
+
 
 
 // =================== CONTACT CREATION / UPDATE ===================
 
+// jobtitle is not accepted here: it holds the subscriber flag, which only the Stripe
+// subscription paths may set (see setContactSubscriberFlagByEmail)
 app.post("/contacts", async (req, res) => {
   try {
     const {
-      email,
       firstName = "",
       lastName = "",
       phone = "",
-      jobTitle = "",
     } = req.body || {};
+    const email = callerEmail(req, req.body?.email);
 
     if (!email) {
       return res
@@ -901,7 +2640,6 @@ app.post("/contacts", async (req, res) => {
             firstname: firstName,
             lastname: lastName,
             phone,
-            jobtitle: jobTitle,
           },
         }
       );
@@ -920,7 +2658,6 @@ app.post("/contacts", async (req, res) => {
       firstname: firstName,
       lastname: lastName,
       phone,
-      jobtitle: jobTitle,
     },
   });
 
@@ -941,7 +2678,6 @@ app.post("/contacts", async (req, res) => {
           firstname: firstName,
           lastname: lastName,
           phone,
-          jobtitle: jobTitle,
         },
       });
 
@@ -973,307 +2709,2111 @@ app.post("/contacts", async (req, res) => {
 
 });
 
-app.get("/contacts/status", async (req, res) => {
+app.get("/contacts/status", async (req, res) => {
+  try {
+    const email = callerEmail(req, req.query.email);
+    if (!email) {
+      return res.status(400).json({ error: "email is required" });
+    }
+
+    const searchResp = await hs.post("/crm/v3/objects/contacts/search", {
+      filterGroups: [
+        {
+          filters: [{ propertyName: "email", operator: "EQ", value: email }],
+        },
+      ],
+      properties: ["email", "firstname", "lastname", "phone", "jobtitle"],
+      limit: 1,
+    });
+
+    const contact = searchResp.data?.results?.[0] || null;
+    if (!contact) {
+      return res.status(404).json({ error: "not_found" });
+    }
+
+    const props = contact.properties || {};
+    return res.json({
+      email: props.email || email,
+      firstName: props.firstname || "",
+      lastName: props.lastname || "",
+      phone: props.phone || "",
+      jobTitle: props.jobtitle || "",
+    });
+  } catch (err) {
+    const status = err.response?.status || 500;
+    console.error(
+      "GET /contacts/status error:",
+      err.response?.data || err.message
+    );
+    return res.status(status).json({ error: "server_error" });
+  }
+});
+
+// ========================== SERVICE LOCATIONS ===============================
+// A service location is { label, addressLines: [..], lat, lng }. Customers can save
+// locations ("Home", "Work") and book with locationId, or send one inline as
+// serviceLocation. Older app builds send serviceLocation as a plain string; that is still
+// accepted but has no coordinates. The location used for a refill is copied into
+// refill_locations so later edits or deletes of the saved one don't change it.
+
+const SERVICE_LOCATION_MAX_LINES = 4;
+
+function rowToServiceLocation(row) {
+  return {
+    id: row.id,
+    label: row.label,
+    addressLines: row.address_lines || [],
+    lat: row.lat,
+    lng: row.lng,
+    createdAt: row.created_at,
+  };
+}
+
+// Structured location from the app -> { location } or { error }
+function parseServiceLocation(input) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { error: "location must be an object" };
+  }
+
+  const label = (input.label ?? "").toString().trim().slice(0, 60) || null;
+  const rawLines = Array.isArray(input.addressLines)
+    ? input.addressLines
+    : (input.addressLines ?? "").toString().split("\n");
+  const addressLines = rawLines.map((l) => (l ?? "").toString().trim()).filter(Boolean);
+  if (addressLines.length === 0) {
+    return { error: "addressLines is required" };
+  }
+  if (addressLines.length > SERVICE_LOCATION_MAX_LINES) {
+    return { error: `at most ${SERVICE_LOCATION_MAX_LINES} addressLines` };
+  }
+
+  const lat = Number(input.lat);
+  const lng = Number(input.lng);
+  if (
+    input.lat == null ||
+    input.lng == null ||
+    !Number.isFinite(lat) ||
+    !Number.isFinite(lng) ||
+    Math.abs(lat) > 90 ||
+    Math.abs(lng) > 180
+  ) {
+    return { error: "lat and lng must be valid coordinates" };
+  }
+
+  return { location: { label, addressLines, lat, lng } };
+}
+
+// One-line form for task bodies and quotes, e.g. "Home: 1 Main St, Newark NJ"
+function formatServiceLocation(location) {
+  const address = (location.addressLines || []).join(", ");
+  return location.label ? `${location.label}: ${address}` : address;
+}
+
+async function listServiceLocations(email) {
+  const { rows } = await pool.query(
+    `select * from service_locations where email = $1 order by created_at, id`,
+    [email.toLowerCase()]
+  );
+  return rows.map(rowToServiceLocation);
+}
+
+async function getServiceLocation(email, id) {
+  const { rows } = await pool.query(
+    `select * from service_locations where email = $1 and id = $2`,
+    [email.toLowerCase(), String(id)]
+  );
+  return rows[0] ? rowToServiceLocation(rows[0]) : null;
+}
+
+// Location for a booking or quote body: locationId (saved) or serviceLocation (inline).
+// Returns { location, locationId } or { status, error, details? }.
+async function resolveServiceLocation(email, body) {
+  const locationId = (body?.locationId ?? "").toString().trim();
+  if (locationId) {
+    const saved = await getServiceLocation(email, locationId);
+    if (!saved) return { status: 404, error: "location_not_found" };
+    const { id, createdAt, ...location } = saved;
+    return { location, locationId: id };
+  }
+
+  const raw = body?.serviceLocation;
+  if (typeof raw === "string") {
+    const text = raw.trim();
+    if (!text) return { status: 400, error: "serviceLocation or locationId is required" };
+    return { location: { label: null, addressLines: [text], lat: null, lng: null }, locationId: null };
+  }
+  if (raw == null) {
+    return { status: 400, error: "serviceLocation or locationId is required" };
+  }
+
+  const parsed = parseServiceLocation(raw);
+  if (parsed.error) return { status: 400, error: "invalid_location", details: parsed.error };
+  return { location: parsed.location, locationId: null };
+}
+
+async function saveRefillLocation(taskId, email, location, locationId) {
+  await pool.query(
+    `
+    insert into refill_locations (task_id, email, location_id, label, address_lines, lat, lng)
+    values ($1, $2, $3, $4, $5, $6, $7)
+    on conflict (task_id) do nothing
+    `,
+    [
+      String(taskId),
+      email.toLowerCase(),
+      locationId,
+      location.label,
+      location.addressLines,
+      location.lat,
+      location.lng,
+    ]
+  );
+}
+
+function rowToRefillLocation(row) {
+  return {
+    locationId: row.location_id,
+    label: row.label,
+    addressLines: row.address_lines || [],
+    lat: row.lat,
+    lng: row.lng,
+  };
+}
+
+async function getRefillLocationsByTaskIds(taskIds) {
+  if (taskIds.length === 0) return new Map();
+  const { rows } = await pool.query(
+    `select * from refill_locations where task_id = any($1)`,
+    [taskIds.map(String)]
+  );
+  return new Map(rows.map((r) => [r.task_id, rowToRefillLocation(r)]));
+}
+
+async function getRefillLocation(taskId) {
+  return (await getRefillLocationsByTaskIds([taskId])).get(String(taskId)) || null;
+}
+
+// GET /locations
+// Returns { email, locations: [ { id, label, addressLines, lat, lng, createdAt } ] }
+app.get("/locations", async (req, res) => {
+  try {
+    const email = callerEmail(req, req.query?.email);
+    if (!email) {
+      return res.status(400).json({ error: "email is required" });
+    }
+
+    return res.json({ email, locations: await listServiceLocations(email) });
+  } catch (err) {
+    console.error("GET /locations error:", err.message);
+    return res.status(500).json({ error: "server_error" });
+  }
+});
+
+// POST /locations  { label, addressLines: [..], lat, lng }
+// Saves a location for the caller
+app.post("/locations", async (req, res) => {
+  try {
+    const email = callerEmail(req, req.body?.email);
+    if (!email) {
+      return res.status(400).json({ error: "email is required" });
+    }
+
+    const input = req.body?.location && typeof req.body.location === "object" ? req.body.location : req.body;
+    const parsed = parseServiceLocation(input);
+    if (parsed.error) {
+      return res.status(400).json({ error: "invalid_location", details: parsed.error });
+    }
+
+    const { label, addressLines, lat, lng } = parsed.location;
+    const { rows } = await pool.query(
+      `
+      insert into service_locations (id, email, label, address_lines, lat, lng)
+      values ($1, $2, $3, $4, $5, $6)
+      returning *
+      `,
+      [crypto.randomUUID(), email.toLowerCase(), label, addressLines, lat, lng]
+    );
+
+    return res.status(201).json({ email, location: rowToServiceLocation(rows[0]) });
+  } catch (err) {
+    console.error("POST /locations error:", err.message);
+    return res.status(500).json({ error: "server_error" });
+  }
+});
+
+// DELETE /locations/:id
+// Refills already booked there keep their own copy of the address and coordinates
+app.delete("/locations/:id", async (req, res) => {
+  try {
+    const email = callerEmail(req, req.body?.email ?? req.query?.email);
+    if (!email) {
+      return res.status(400).json({ error: "email is required" });
+    }
+
+    const result = await pool.query(
+      `delete from service_locations where email = $1 and id = $2`,
+      [email.toLowerCase(), req.params.id]
+    );
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: "location_not_found" });
+    }
+
+    return res.json({ ok: true, id: req.params.id });
+  } catch (err) {
+    console.error("DELETE /locations/:id error:", err.message);
+    return res.status(500).json({ error: "server_error" });
+  }
+});
+
+// ========================== REFILL BOOKING / TASK CREATION ===============================
+
+const REFILL_TASK_PROPERTIES = [
+  "hs_task_subject",
+  "hs_task_body",
+  "hs_timestamp",
+  "hs_task_status",
+];
+
+// A task counts as a refill if its subject starts with (0), (1), (2) or mentions "refill"
+function isRefillTaskSubject(rawSubject) {
+  const subject = (rawSubject || "").toString().trim();
+  const hasPrefix =
+    subject.startsWith("(0)") ||
+    subject.startsWith("(1)") ||
+    subject.startsWith("(2)");
+  return hasPrefix || subject.toLowerCase().includes("refill");
+}
+
+// Status of a refill task: a leading "(0)", "(1)", "(2)" in the subject wins,
+// otherwise HubSpot's hs_task_status. Returns { subject (prefix stripped), statusCode, statusLabel }.
+function parseRefillStatus(props) {
+  const rawSubject = (props?.hs_task_subject || "").toString();
+
+  let subject = rawSubject;
+  let statusCode = 0;
+
+  // Parse leading "(0)", "(1)", "(2)" if present
+  const match = rawSubject.match(/^\((\d)\)\s*(.*)$/);
+  if (match) {
+    statusCode = parseInt(match[1], 10) || 0;
+    subject = match[2] || "";
+  } else {
+    // Fallback to HubSpot status
+    const hsStatus = (props?.hs_task_status || "").toString().toUpperCase();
+    if (hsStatus === "COMPLETED") {
+      statusCode = 1;
+    } else if (hsStatus === "CANCELED" || hsStatus === "DEFERRED") {
+      statusCode = 2;
+    } else {
+      statusCode = 0;
+    }
+  }
+
+  let statusLabel;
+  switch (statusCode) {
+    case 1:
+      statusLabel = "Completed";
+      break;
+    case 2:
+      statusLabel = "Canceled";
+      break;
+    case 0:
+    default:
+      statusLabel = "In progress";
+      break;
+  }
+
+  return { subject, statusCode, statusLabel };
+}
+
+function isTaskAssociatedWithContact(task, contactId) {
+  const assocContacts =
+    task.associations?.contacts?.results ||
+    task.associations?.contacts ||
+    [];
+  return Array.isArray(assocContacts)
+    ? assocContacts.some((c) => String(c.id) === String(contactId))
+    : false;
+}
+
+// Guard for per-refill routes. Reads taskId from :taskId, body or query and only
+// continues if the task is a refill associated with the caller's contact.
+// Sets req.refillTask (HubSpot task with REFILL_TASK_PROPERTIES) and req.contact.
+async function requireOwnedRefillTask(req, res, next) {
+  try {
+    const taskId = (req.params?.taskId ?? req.body?.taskId ?? req.query?.taskId ?? "")
+      .toString()
+      .trim();
+    if (!taskId) {
+      return res.status(400).json({ error: "taskId is required" });
+    }
+
+    const email = callerEmail(req, req.body?.email ?? req.query?.email);
+    if (!email) {
+      return res.status(400).json({ error: "email is required" });
+    }
+
+    const contact = await getContactByEmail(email);
+    if (!contact || !contact.id) {
+      return res.status(404).json({ error: "contact_not_found" });
+    }
+
+    let task;
+    try {
+      const taskResp = await hs.get(`/crm/v3/objects/tasks/${encodeURIComponent(taskId)}`, {
+        params: {
+          properties: REFILL_TASK_PROPERTIES.join(","),
+          associations: "contacts",
+        },
+      });
+      task = taskResp.data;
+    } catch (err) {
+      if (err.response?.status === 404) {
+        return res.status(404).json({ error: "refill_not_found" });
+      }
+      throw err;
+    }
+
+    if (!isRefillTaskSubject(task?.properties?.hs_task_subject)) {
+      return res.status(404).json({ error: "refill_not_found" });
+    }
+
+    if (!isTaskAssociatedWithContact(task, contact.id)) {
+      console.warn("REFILL OWNERSHIP DENIED", { taskId, email, contactId: contact.id });
+      return res.status(403).json({ error: "forbidden" });
+    }
+
+    req.contact = contact;
+    req.refillTask = task;
+    return next();
+  } catch (err) {
+    const status = err.response?.status || 500;
+    const details = err.response?.data || err.message;
+    console.error("requireOwnedRefillTask error:", details);
+    return res.status(status).json({ error: "server_error", details });
+  }
+}
+
+// ---- Refill <-> payment link
+// Each booked refill task may carry one Stripe PaymentIntent (refill_payments row).
+// The PaymentIntent's metadata holds hubspot_task_id and the task body names the PaymentIntent.
+
+// REFILL_PAYMENT_REQUIRED=true makes paymentIntentId mandatory on /refills/book
+const REFILL_PAYMENT_REQUIRED =
+  (process.env.REFILL_PAYMENT_REQUIRED ?? "false").toString().trim().toLowerCase() === "true";
+
+// Checks a PaymentIntent can pay for a new refill booked by `email`.
+// Returns { paymentIntent } or { status, error }.
+async function verifyRefillPaymentIntent(paymentIntentId, email) {
+  if (!stripe) return { status: 500, error: "stripe_not_configured" };
+  if (!paymentIntentId.startsWith("pi_")) return { status: 400, error: "invalid_payment_intent" };
+
+  let pi;
+  try {
+    pi = await stripe.paymentIntents.retrieve(paymentIntentId);
+  } catch (err) {
+    if (err?.statusCode === 404) return { status: 404, error: "payment_not_found" };
+    throw err;
+  }
+
+  const owner = (pi.metadata?.hubspot_email ?? "").toString().trim().toLowerCase();
+  if (pi.metadata?.app_source !== "ios_refill" || owner !== email.toLowerCase()) {
+    return { status: 403, error: "payment_not_owned" };
+  }
+  if (pi.status !== "succeeded") {
+    return { status: 402, error: "payment_not_succeeded", paymentStatus: pi.status };
+  }
+  if (pi.metadata?.hubspot_task_id) {
+    return { status: 409, error: "payment_already_used" };
+  }
+
+  return { paymentIntent: pi };
+}
+
+// Reserves a PaymentIntent for one booking before its HubSpot task exists (task_id is a
+// "pending:" placeholder until linkRefillPayment). False if another booking holds it.
+async function claimRefillPayment(paymentIntent, email) {
+  const result = await pool.query(
+    `
+    insert into refill_payments (task_id, payment_intent_id, email, amount_cents, status)
+    values ($1, $2, $3, $4, $5)
+    on conflict do nothing
+    `,
+    [
+      `pending:${paymentIntent.id}`,
+      paymentIntent.id,
+      email.toLowerCase(),
+      paymentIntent.amount,
+      paymentIntent.status,
+    ]
+  );
+  return result.rowCount === 1;
+}
+
+async function releaseRefillPaymentClaim(paymentIntentId) {
+  await pool.query(
+    `delete from refill_payments where payment_intent_id = $1 and task_id like 'pending:%'`,
+    [paymentIntentId]
+  );
+}
+
+async function linkRefillPayment(taskId, paymentIntent) {
+  await pool.query(
+    `
+    update refill_payments
+    set task_id = $1, updated_at = now()
+    where payment_intent_id = $2
+    `,
+    [String(taskId), paymentIntent.id]
+  );
+
+  await stripe.paymentIntents.update(paymentIntent.id, {
+    metadata: { hubspot_task_id: String(taskId) },
+  });
+}
+
+// taskIds -> Map(taskId -> refill_payments row)
+async function getRefillPaymentsByTaskIds(taskIds) {
+  const byTask = new Map();
+  if (!taskIds.length) return byTask;
+
+  const { rows } = await pool.query(
+    `select * from refill_payments where task_id = any($1)`,
+    [taskIds.map(String)]
+  );
+  for (const row of rows) byTask.set(row.task_id, row);
+  return byTask;
+}
+
+async function getRefillPaymentByTaskId(taskId) {
+  const byTask = await getRefillPaymentsByTaskIds([taskId]);
+  return byTask.get(String(taskId)) || null;
+}
+
+// ---- Cancellation refunds
+// Cancel at least REFILL_CANCEL_CUTOFF_HOURS before scheduledAt: full refund.
+// Later than that: refund minus REFILL_LATE_CANCEL_FEE_CENTS.
+const REFILL_CANCEL_CUTOFF_HOURS = Number(process.env.REFILL_CANCEL_CUTOFF_HOURS) || 2;
+const REFILL_LATE_CANCEL_FEE_CENTS = envCents("REFILL_LATE_CANCEL_FEE_CENTS", 1500);
+
+// HubSpot hs_timestamp may be epoch-ms or ISO; returns ms or null
+function parseHubSpotTimestamp(raw) {
+  if (raw == null || raw === "") return null;
+  const ms = /^\d+$/.test(String(raw)) ? Number(raw) : Date.parse(String(raw));
+  return Number.isFinite(ms) ? ms : null;
+}
+
+// Returns { refundCents, feeCents, policy } for a refill_payments row
+function computeCancellationRefund(payment, scheduledAtMs, nowMs = Date.now()) {
+  const remainingCents = Math.max(0, payment.amount_cents - payment.amount_refunded_cents);
+  const hoursUntil = scheduledAtMs == null ? Infinity : (scheduledAtMs - nowMs) / 3600000;
+
+  if (hoursUntil >= REFILL_CANCEL_CUTOFF_HOURS) {
+    return { refundCents: remainingCents, feeCents: 0, policy: "full" };
+  }
+
+  const feeCents = Math.min(REFILL_LATE_CANCEL_FEE_CENTS, remainingCents);
+  return { refundCents: remainingCents - feeCents, feeCents, policy: "late_cancel" };
+}
+
+// Refunds the payment linked to a canceled refill task. Returns null when there is
+// nothing to refund, else { refundId, amountCents, feeCents, policy, status }.
+async function refundCanceledRefill(taskId, scheduledAtMs) {
+  const payment = await getRefillPaymentByTaskId(taskId);
+  if (!payment || payment.status === "refunded" || payment.amount_refunded_cents > 0) {
+    return null;
+  }
+
+  const { refundCents, feeCents, policy } = computeCancellationRefund(payment, scheduledAtMs);
+  if (refundCents <= 0) {
+    return { refundId: null, amountCents: 0, feeCents, policy, status: "not_refunded" };
+  }
+
+  const refund = await stripe.refunds.create(
+    {
+      payment_intent: payment.payment_intent_id,
+      amount: refundCents,
+      metadata: { hubspot_task_id: String(taskId), reason: "refill_canceled", policy },
+    },
+    { idempotencyKey: `refill-cancel-${taskId}` }
+  );
+
+  await updateRefillPaymentStatus(payment.payment_intent_id, {
+    status: refundCents === payment.amount_cents ? "refunded" : "partially_refunded",
+    amountRefundedCents: payment.amount_refunded_cents + refundCents,
+  });
+
+  return { refundId: refund.id, amountCents: refundCents, feeCents, policy, status: refund.status };
+}
+
+function serializeRefillPayment(row) {
+  if (!row) return null;
+  return {
+    paymentIntentId: row.payment_intent_id,
+    status: row.status,
+    amountCents: row.amount_cents,
+    amountRefundedCents: row.amount_refunded_cents,
+  };
+}
+
+// Runs a step that follows the creation of a refill's HubSpot task: tried up to 3 times,
+// then logged (with the task id, for ops to fix by hand) rather than thrown
+async function finishBookingStep(taskId, step, fn) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (attempt >= 3) {
+        console.error(`POST /refills/book ${step} failed:`, taskId, err?.message || err);
+        return null;
+      }
+      await new Promise((r) => setTimeout(r, 250 * attempt));
+    }
+  }
+}
+
+/**
+ * POST /refills/book
+ * Body: { email, serviceLocation | locationId, scheduledAt, vehicle: { id?, name, plate, color, vin? }, paymentIntentId? }
+ * serviceLocation is { label, addressLines, lat, lng } (a plain string is still accepted);
+ * locationId refers to one of the caller's saved /locations.
+ * Creates a HubSpot CRM task associated to the contact representing this refill request.
+ * paymentIntentId must be a succeeded, unused refill payment of the caller (required when
+ * REFILL_PAYMENT_REQUIRED=true) and is linked to the task.
+ */
+app.post("/refills/book", async (req, res) => {
+  try {
+    const email = callerEmail(req, req.body?.email);
+    const scheduledAt = (req.body?.scheduledAt ?? "").toString().trim();
+const vehicle = req.body?.vehicle || {};
+const psiCheckRequested = Boolean(req.body?.psiCheck);
+    const paymentIntentId = (req.body?.paymentIntentId ?? "").toString().trim();
+    if (!email || !scheduledAt) {
+      return res.status(400).json({
+        error: "email, serviceLocation, and scheduledAt are required",
+      });
+    }
+
+    const resolved = await resolveServiceLocation(email, req.body);
+    if (resolved.error) {
+      return res.status(resolved.status).json({
+        error: resolved.error,
+        ...(resolved.details ? { details: resolved.details } : {}),
+      });
+    }
+    const serviceLocation = resolved.location;
+    if (REFILL_PAYMENT_REQUIRED && !paymentIntentId) {
+      return res.status(402).json({ error: "payment_required" });
+    }
+
+    const scheduledAtMs = parseHubSpotTimestamp(scheduledAt);
+    if (scheduledAtMs == null) {
+      return res.status(400).json({ error: "invalid_scheduledAt" });
+    }
+
+    let paymentIntent = null;
+    if (paymentIntentId) {
+      const check = await verifyRefillPaymentIntent(paymentIntentId, email);
+      if (check.error) {
+        return res.status(check.status).json({
+          error: check.error,
+          ...(check.paymentStatus ? { paymentStatus: check.paymentStatus } : {}),
+        });
+      }
+      paymentIntent = check.paymentIntent;
+    }
+
+    const contact = await getContactByEmail(email);
+    if (!contact || !contact.id) {
+      return res.status(404).json({ error: "contact_not_found" });
+    }
+    const isSubscriber = isSubscriberContact(contact);
+const psiCheck = isSubscriber && psiCheckRequested;
+
+    const vehicleName = (vehicle.name ?? "").toString().trim();
+    const vehiclePlate = (vehicle.plate ?? "").toString().trim();
+    const vehicleColor = (vehicle.color ?? "").toString().trim();
+
+    // Prefer the VIN on file for the chosen vehicle over whatever the app sent
+    let vehicleVin = (vehicle.vin ?? "").toString().trim().toUpperCase();
+    if (vehicle.id != null) {
+      const stored = (await listVehicles(email)).find((v) => v.id === String(vehicle.id));
+      if (stored?.vin) vehicleVin = stored.vin;
+    }
+
+    const vehicleLabel = [vehicleName, vehiclePlate]
+  .map((v) => (v || "").toString().trim())
+  .filter(Boolean)
+  .join(" ");
+
+let subject = vehicleLabel ? `Refill request - ${vehicleLabel}` : "Refill request";
+if (psiCheck) subject += " - PSI CHECK";
+
+    const bodyLines = [
+      "New refill request from iOS app.",
+      "",
+      `Service location: ${formatServiceLocation(serviceLocation)}`,
+      ...(serviceLocation.lat != null
+        ? [`Map: https://www.google.com/maps?q=${serviceLocation.lat},${serviceLocation.lng}`]
+        : []),
+      `Scheduled for: ${scheduledAt}`,
+      "",
+      `Vehicle: ${vehicleName || "N/A"}`,
+      `Plate: ${vehiclePlate || "N/A"}`,
+      `Color: ${vehicleColor || "N/A"}`,
+      `VIN: ${vehicleVin || "N/A"}`,
+    ];
+    if (paymentIntent) {
+      bodyLines.push(
+        "",
+        `Payment: ${paymentIntent.id} (${formatUsd(paymentIntent.amount)} paid)`
+      );
+    }
+    const taskBody = bodyLines.join("\n");
+
+    // Hold a place in the slot and claim the payment before the task exists, so two
+    // bookings can't both take the slot's last place or both use the payment
+    const slot = await reserveRefillSlot(scheduledAtMs);
+    if (slot.error) {
+      return res.status(409).json({ error: slot.error, scheduledAt });
+    }
+    if (paymentIntent && !(await claimRefillPayment(paymentIntent, email))) {
+      await releaseRefillSlot(slot);
+      return res.status(409).json({ error: "payment_already_used" });
+    }
+
+    let taskId;
+    try {
+      const taskResp = await hs.post("/crm/v3/objects/tasks", {
+        properties: {
+          hs_timestamp: scheduledAt,
+          hs_task_subject: subject,
+          hs_task_body: taskBody,
+          hs_task_status: "NOT_STARTED",
+          hs_task_priority: "HIGH",
+          hs_task_type: "TODO",
+        },
+      });
+
+      taskId = taskResp.data?.id;
+      if (!taskId) {
+        throw new Error("task_creation_failed");
+      }
+
+      await hs.put(
+        `/crm/v3/objects/tasks/${taskId}/associations/contacts/${contact.id}/task_to_contact`
+      );
+    } catch (err) {
+      // Don't leave a task the customer can't see, or a payment nobody can use
+      if (taskId) {
+        await hs.delete(`/crm/v3/objects/tasks/${taskId}`).catch(() => {});
+      }
+      if (paymentIntent) {
+        await releaseRefillPaymentClaim(paymentIntent.id);
+      }
+      await releaseRefillSlot(slot);
+      throw err;
+    }
+
+    // The refill is booked from here on, so these steps never fail the request
+    await finishBookingStep(taskId, "link slot", () =>
+      linkRefillSlotReservation(slot.reservationId, taskId)
+    );
+    await finishBookingStep(taskId, "save location", () =>
+      saveRefillLocation(taskId, email, serviceLocation, resolved.locationId)
+    );
+    invalidateArrivalTasksCache();
+
+    if (paymentIntent) {
+      await finishBookingStep(taskId, "link payment", () => linkRefillPayment(taskId, paymentIntent));
+    }
+
+    return res.status(201).json({
+      ok: true,
+      taskId,
+      location: serviceLocation,
+      paymentIntentId: paymentIntent?.id ?? null,
+    });
+  } catch (err) {
+    const status = err.response?.status || 500;
+    const details = err.response?.data || err.message;
+    console.error("POST /refills/book error:", details);
+    return res.status(status).json({ error: "server_error", details });
+  }
+});
+
+// GET /refills/history?email=...
+// Returns refill-related HubSpot tasks for the contact in the shape
+// expected by the iOS app: { refills: [ { id, subject, statusCode, statusLabel, timestamp, payment, location } ] }
+app.get("/refills/history", async (req, res) => {
+  try {
+    const email = callerEmail(req, req.query?.email);
+    if (!email) {
+      return res.status(400).json({ error: "email is required" });
+    }
+
+    const contact = await getContactByEmail(email);
+    if (!contact || !contact.id) {
+      return res.status(404).json({ error: "contact_not_found" });
+    }
+
+    const listResp = await hs.get("/crm/v3/objects/tasks", {
+      params: {
+        limit: 100,
+        properties: REFILL_TASK_PROPERTIES.join(","),
+        associations: "contacts",
+      },
+    });
+
+    const contactId = String(contact.id);
+    const rawResults = Array.isArray(listResp.data?.results)
+      ? listResp.data.results
+      : [];
+
+    const refillTasks = rawResults.filter(
+      (task) =>
+        isTaskAssociatedWithContact(task, contactId) &&
+        isRefillTaskSubject(task.properties?.hs_task_subject)
+    );
+
+    const paymentsByTask = await getRefillPaymentsByTaskIds(refillTasks.map((t) => t.id));
+    const locationsByTask = await getRefillLocationsByTaskIds(refillTasks.map((t) => t.id));
+
+    const mapped = refillTasks.map((task) => {
+      const props = task.properties || {};
+      const { subject, statusCode, statusLabel } = parseRefillStatus(props);
+
+      return {
+        id: task.id,
+        subject,
+        timestamp: props.hs_timestamp || task.createdAt || null,
+        statusCode,
+        statusLabel,
+        details: (props.hs_task_body || "").toString(),
+        payment: serializeRefillPayment(paymentsByTask.get(String(task.id))),
+        location: locationsByTask.get(String(task.id)) || null,
+      };
+    });
+
+    // Newest first
+    mapped.sort((a, b) => {
+      const aTime = a.timestamp ? Date.parse(a.timestamp) : 0;
+      const bTime = b.timestamp ? Date.parse(b.timestamp) : 0;
+      return bTime - aTime;
+    });
+
+    return res.json({
+      email,
+      contactId,
+      refills: mapped,
+    });
+  } catch (err) {
+    const status = err.response?.status || 500;
+    const details = err.response?.data || err.message;
+    console.error("GET /refills/history error:", details);
+    return res.status(status).json({ error: "server_error", details });
+  }
+});
+
+
+// ========================== REFILL AVAILABILITY ===============================
+// Slots are REFILL_SLOT_MINUTES long inside REFILL_BUSINESS_HOURS (America/New_York wall
+// clock) on REFILL_BUSINESS_DAYS, each taking up to REFILL_SLOT_CAPACITY refills.
+// Booked counts come from refill tasks in HubSpot (canceled ones excluded) plus the
+// places reserved in Postgres by /refills/book and reschedules, which also cover tasks
+// HubSpot search doesn't return yet; blackout days come from the same source as
+// /blackout-dates.
+
+function parseBusinessHours(raw) {
+  const match = (raw || "").toString().match(/^(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/);
+  if (!match) return { openMinutes: 8 * 60, closeMinutes: 18 * 60 };
+  return {
+    openMinutes: Number(match[1]) * 60 + Number(match[2]),
+    closeMinutes: Number(match[3]) * 60 + Number(match[4]),
+  };
+}
+
+const REFILL_BUSINESS_HOURS = parseBusinessHours(process.env.REFILL_BUSINESS_HOURS || "08:00-18:00");
+// 0 = Sunday ... 6 = Saturday
+const REFILL_BUSINESS_DAYS = new Set(
+  (process.env.REFILL_BUSINESS_DAYS || "1,2,3,4,5,6")
+    .split(",")
+    .map((d) => Number(d.trim()))
+    .filter((d) => Number.isInteger(d) && d >= 0 && d <= 6)
+);
+const REFILL_SLOT_MINUTES = Number(process.env.REFILL_SLOT_MINUTES) || 60;
+const REFILL_SLOT_CAPACITY = Number(process.env.REFILL_SLOT_CAPACITY) || 2;
+// A place held for a booking whose HubSpot task was never linked to it stops counting
+// after this long
+const REFILL_SLOT_PENDING_MINUTES = 10;
+const REFILL_AVAILABILITY_MAX_DAYS = 31;
+
+// Wall-clock parts of an instant in America/New_York: { ymd, minutes (after midnight) }
+function nyParts(dateObj) {
+  const parts = {};
+  for (const p of new Intl.DateTimeFormat("en-US", {
+    timeZone: "America/New_York",
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+  }).formatToParts(dateObj)) {
+    parts[p.type] = p.value;
+  }
+  return {
+    ymd: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+}
+
+// America/New_York wall clock (YYYY-MM-DD + minutes after midnight) -> Date
+function nyWallTimeToDate(ymd, minutes) {
+  const [y, m, d] = ymd.split("-").map(Number);
+  const target = Date.UTC(y, m - 1, d, 0, minutes);
+  let ts = target;
+  // Two passes settle the UTC offset, including on DST switch days
+  for (let i = 0; i < 2; i++) {
+    const p = nyParts(new Date(ts));
+    const [py, pm, pd] = p.ymd.split("-").map(Number);
+    ts += target - Date.UTC(py, pm - 1, pd, 0, p.minutes);
+  }
+  return new Date(ts);
+}
+
+function addDaysYMD(ymd, days) {
+  const [y, m, d] = ymd.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+}
+
+function weekdayOfYMD(ymd) {
+  const [y, m, d] = ymd.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+}
+
+// Slot containing an instant: { ymd, slotStartMinutes } (slots are aligned to opening time)
+function slotForTimestamp(ms) {
+  const { ymd, minutes } = nyParts(new Date(ms));
+  const offset = minutes - REFILL_BUSINESS_HOURS.openMinutes;
+  const slotStartMinutes =
+    REFILL_BUSINESS_HOURS.openMinutes + Math.floor(offset / REFILL_SLOT_MINUTES) * REFILL_SLOT_MINUTES;
+  return { ymd, slotStartMinutes };
+}
+
+function slotKey(ymd, slotStartMinutes) {
+  return `${ymd}@${slotStartMinutes}`;
+}
+
+// Refill tasks (any status) with hs_timestamp in [startMs, endMs)
+async function searchRefillTasks(startMs, endMs) {
+  const tasks = [];
+  let after;
+
+  // Search pages are capped at 100; stop after 10 pages as a safety net
+  for (let page = 0; page < 10; page++) {
+    const resp = await hs.post("/crm/v3/objects/tasks/search", {
+      filterGroups: [
+        {
+          filters: [
+            { propertyName: "hs_timestamp", operator: "GTE", value: String(startMs) },
+            { propertyName: "hs_timestamp", operator: "LT", value: String(endMs) },
+          ],
+        },
+      ],
+      properties: REFILL_TASK_PROPERTIES,
+      limit: 100,
+      ...(after ? { after } : {}),
+    });
+
+    for (const task of resp.data?.results || []) {
+      if (isRefillTaskSubject(task.properties?.hs_task_subject)) tasks.push(task);
+    }
+
+    after = resp.data?.paging?.next?.after;
+    if (!after) break;
+  }
+
+  return tasks;
+}
+
+// Non-canceled refill tasks in HubSpot with hs_timestamp in [startMs, endMs).
+// Returns { counts: Map(slotKey -> count), taskIds: Set of every task id the search returned }
+async function countBookedRefillTasks(startMs, endMs, { excludeTaskId } = {}) {
+  const counts = new Map();
+  const taskIds = new Set();
+
+  for (const task of await searchRefillTasks(startMs, endMs)) {
+    const props = task.properties || {};
+    taskIds.add(String(task.id));
+    if (excludeTaskId && String(task.id) === String(excludeTaskId)) continue;
+    if (parseRefillStatus(props).statusCode === 2) continue;
+
+    const ms = parseHubSpotTimestamp(props.hs_timestamp);
+    if (ms == null) continue;
+
+    const { ymd, slotStartMinutes } = slotForTimestamp(ms);
+    const key = slotKey(ymd, slotStartMinutes);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+
+  return { counts, taskIds };
+}
+
+// Live slot reservations in [startMs, endMs): a pending one until it expires, a linked
+// one while its task isn't in the HubSpot search (it may not be indexed yet).
+// Takes a countBookedRefillTasks result and returns the combined Map(slotKey -> count).
+async function addRefillSlotReservations(booked, startMs, endMs, { excludeTaskId, db = pool } = {}) {
+  const counts = new Map(booked.counts);
+
+  const { rows } = await db.query(
+    `
+    select task_id, slot_start
+    from refill_slot_reservations
+    where slot_start >= $1 and slot_start < $2
+      and not (task_id like 'pending:%' and reserved_at < now() - make_interval(mins => $3::int))
+    `,
+    [new Date(startMs), new Date(endMs), REFILL_SLOT_PENDING_MINUTES]
+  );
+  for (const row of rows) {
+    if (booked.taskIds.has(row.task_id)) continue;
+    if (excludeTaskId && row.task_id === String(excludeTaskId)) continue;
+
+    const { ymd, slotStartMinutes } = slotForTimestamp(new Date(row.slot_start).getTime());
+    const key = slotKey(ymd, slotStartMinutes);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+
+  return counts;
+}
+
+// Drops linked reservations in [startMs, endMs) that no longer stand for a booking in
+// that range: the task was deleted, canceled or moved in HubSpot. Only rows older than
+// REFILL_SLOT_PENDING_MINUTES are checked, so a task HubSpot hasn't indexed yet is kept.
+async function pruneStaleRefillSlotReservations(booked, startMs, endMs) {
+  const { rows } = await pool.query(
+    `
+    select task_id
+    from refill_slot_reservations
+    where slot_start >= $1 and slot_start < $2
+      and task_id not like 'pending:%'
+      and reserved_at < now() - make_interval(mins => $3::int)
+    `,
+    [new Date(startMs), new Date(endMs), REFILL_SLOT_PENDING_MINUTES]
+  );
+
+  for (const row of rows) {
+    if (booked.taskIds.has(row.task_id)) continue;
+
+    let stale = false;
+    try {
+      const taskResp = await hs.get(`/crm/v3/objects/tasks/${encodeURIComponent(row.task_id)}`, {
+        params: { properties: REFILL_TASK_PROPERTIES.join(",") },
+      });
+      const props = taskResp.data?.properties || {};
+      const ms = parseHubSpotTimestamp(props.hs_timestamp);
+      stale =
+        parseRefillStatus(props).statusCode === 2 || ms == null || ms < startMs || ms >= endMs;
+    } catch (err) {
+      if (err.response?.status !== 404) throw err;
+      stale = true;
+    }
+
+    if (stale) {
+      await pool.query(`delete from refill_slot_reservations where task_id = $1`, [row.task_id]);
+      console.log("Dropped stale refill slot reservation:", row.task_id);
+    }
+  }
+}
+
+// Non-canceled refill tasks and slot reservations in [startMs, endMs) -> Map(slotKey -> count)
+// (a task that is in both is counted once)
+async function countBookedRefillSlots(startMs, endMs, { excludeTaskId } = {}) {
+  const booked = await countBookedRefillTasks(startMs, endMs, { excludeTaskId });
+  await pruneStaleRefillSlotReservations(booked, startMs, endMs);
+  return addRefillSlotReservations(booked, startMs, endMs, { excludeTaskId });
+}
+
+// Bookable slots for each NY date in [fromYMD, toYMD]
+async function buildRefillAvailability(fromYMD, toYMD) {
+  const { blackoutDates } = await fetchBlackoutDates();
+  const blackout = new Set(blackoutDates);
+
+  const rangeStart = nyWallTimeToDate(fromYMD, 0).getTime();
+  const rangeEnd = nyWallTimeToDate(addDaysYMD(toYMD, 1), 0).getTime();
+  const booked = await countBookedRefillSlots(rangeStart, rangeEnd);
+  const now = Date.now();
+
+  const days = [];
+  for (let ymd = fromYMD; ymd <= toYMD; ymd = addDaysYMD(ymd, 1)) {
+    const isBlackout = blackout.has(ymd);
+    const isOpen = REFILL_BUSINESS_DAYS.has(weekdayOfYMD(ymd));
+    const slots = [];
+
+    if (isOpen && !isBlackout) {
+      for (
+        let m = REFILL_BUSINESS_HOURS.openMinutes;
+        m + REFILL_SLOT_MINUTES <= REFILL_BUSINESS_HOURS.closeMinutes;
+        m += REFILL_SLOT_MINUTES
+      ) {
+        const start = nyWallTimeToDate(ymd, m);
+        const count = booked.get(slotKey(ymd, m)) || 0;
+        slots.push({
+          start: start.toISOString(),
+          end: nyWallTimeToDate(ymd, m + REFILL_SLOT_MINUTES).toISOString(),
+          booked: count,
+          capacity: REFILL_SLOT_CAPACITY,
+          available: count < REFILL_SLOT_CAPACITY && start.getTime() > now,
+        });
+      }
+    }
+
+    days.push({
+      date: ymd,
+      blackout: isBlackout,
+      closed: !isOpen,
+      slots,
+    });
+  }
+
+  return days;
+}
+
+// Is the slot containing scheduledAtMs bookable at all (capacity aside)? Returns
+// { ymd, slotStartMinutes, slotStart, slotEnd } or { error } with one of:
+// slot_in_past, slot_closed, slot_blackout.
+async function checkRefillSlotOpen(scheduledAtMs) {
+  if (scheduledAtMs <= Date.now()) return { error: "slot_in_past" };
+
+  const { ymd, slotStartMinutes } = slotForTimestamp(scheduledAtMs);
+  const withinHours =
+    slotStartMinutes >= REFILL_BUSINESS_HOURS.openMinutes &&
+    slotStartMinutes + REFILL_SLOT_MINUTES <= REFILL_BUSINESS_HOURS.closeMinutes;
+  if (!REFILL_BUSINESS_DAYS.has(weekdayOfYMD(ymd)) || !withinHours) {
+    return { error: "slot_closed" };
+  }
+
+  const { blackoutDates } = await fetchBlackoutDates();
+  if (blackoutDates.includes(ymd)) return { error: "slot_blackout" };
+
+  return {
+    ymd,
+    slotStartMinutes,
+    slotStart: nyWallTimeToDate(ymd, slotStartMinutes).getTime(),
+    slotEnd: nyWallTimeToDate(ymd, slotStartMinutes + REFILL_SLOT_MINUTES).getTime(),
+  };
+}
+
+// Holds a place in the slot containing scheduledAtMs, or returns { error } with one of
+// slot_in_past, slot_closed, slot_blackout, slot_full. Pass taskId when moving an
+// existing refill (its place moves with it), otherwise the place is held for a task
+// about to be created. HubSpot is read before the slot's row lock is taken; only the
+// Postgres reservations are recounted under it, so two bookings can't both take the
+// last place. Returns { reservationId, previousSlotStart } on success.
+async function reserveRefillSlot(scheduledAtMs, { taskId } = {}) {
+  const slot = await checkRefillSlotOpen(scheduledAtMs);
+  if (slot.error) return slot;
+
+  const { ymd, slotStartMinutes, slotStart, slotEnd } = slot;
+  const booked = await countBookedRefillTasks(slotStart, slotEnd, { excludeTaskId: taskId });
+  await pruneStaleRefillSlotReservations(booked, slotStart, slotEnd);
+
+  const reservationId = taskId ? String(taskId) : `pending:${crypto.randomUUID()}`;
+
+  const client = await pool.connect();
+  try {
+    await client.query("begin");
+    await client.query(
+      `insert into refill_slots (slot_start) values ($1) on conflict do nothing`,
+      [new Date(slotStart)]
+    );
+    await client.query(`select slot_start from refill_slots where slot_start = $1 for update`, [
+      new Date(slotStart),
+    ]);
+
+    const counts = await addRefillSlotReservations(booked, slotStart, slotEnd, {
+      excludeTaskId: taskId,
+      db: client,
+    });
+    if ((counts.get(slotKey(ymd, slotStartMinutes)) || 0) >= REFILL_SLOT_CAPACITY) {
+      await client.query("rollback");
+      return { error: "slot_full" };
+    }
+
+    const previous = await client.query(
+      `select slot_start from refill_slot_reservations where task_id = $1`,
+      [reservationId]
+    );
+    await client.query(
+      `
+      insert into refill_slot_reservations (task_id, slot_start)
+      values ($1, $2)
+      on conflict (task_id) do update set slot_start = excluded.slot_start, reserved_at = now()
+      `,
+      [reservationId, new Date(slotStart)]
+    );
+
+    await client.query("commit");
+    return { reservationId, previousSlotStart: previous.rows[0]?.slot_start ?? null };
+  } catch (err) {
+    await client.query("rollback").catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Undo reserveRefillSlot: put a moved place back, or drop a new one
+async function releaseRefillSlot({ reservationId, previousSlotStart }) {
+  if (previousSlotStart) {
+    await pool.query(`update refill_slot_reservations set slot_start = $2 where task_id = $1`, [
+      reservationId,
+      previousSlotStart,
+    ]);
+  } else {
+    await pool.query(`delete from refill_slot_reservations where task_id = $1`, [reservationId]);
+  }
+}
+
+async function linkRefillSlotReservation(reservationId, taskId) {
+  await pool.query(`update refill_slot_reservations set task_id = $2 where task_id = $1`, [
+    reservationId,
+    String(taskId),
+  ]);
+}
+
+// Expired pending places and places in slots that are over
+async function pruneRefillSlotReservations() {
+  const result = await pool.query(
+    `
+    delete from refill_slot_reservations
+    where (task_id like 'pending:%' and reserved_at < now() - make_interval(mins => $1::int))
+       or slot_start < now() - interval '1 day'
+    `,
+    [REFILL_SLOT_PENDING_MINUTES]
+  );
+  await pool.query(`delete from refill_slots where slot_start < now() - interval '1 day'`);
+  if (result.rowCount) {
+    console.log("Pruned refill slot reservations:", result.rowCount);
+  }
+}
+
+// GET /refills/availability?from=YYYY-MM-DD&to=YYYY-MM-DD
+// Defaults to the next 14 days. Returns { timeZone, slotMinutes, capacity, days: [...] }
+app.get("/refills/availability", async (req, res) => {
+  try {
+    const isYMD = (v) => /^\d{4}-\d{2}-\d{2}$/.test(v) && !isNaN(Date.parse(v));
+
+    const from = (req.query?.from ?? "").toString().trim() || formatYMDInNY(new Date());
+    if (!isYMD(from)) {
+      return res.status(400).json({ error: "from and to must be YYYY-MM-DD" });
+    }
+    const to = (req.query?.to ?? "").toString().trim() || addDaysYMD(from, 13);
+    if (!isYMD(to)) {
+      return res.status(400).json({ error: "from and to must be YYYY-MM-DD" });
+    }
+    if (to < from) {
+      return res.status(400).json({ error: "to must not be before from" });
+    }
+    if (to > addDaysYMD(from, REFILL_AVAILABILITY_MAX_DAYS - 1)) {
+      return res
+        .status(400)
+        .json({ error: `range cannot exceed ${REFILL_AVAILABILITY_MAX_DAYS} days` });
+    }
+
+    const days = await buildRefillAvailability(from, to);
+
+    return res.json({
+      timeZone: "America/New_York",
+      slotMinutes: REFILL_SLOT_MINUTES,
+      capacity: REFILL_SLOT_CAPACITY,
+      from,
+      to,
+      days,
+    });
+  } catch (err) {
+    const status = err.response?.status || 500;
+    const details = err.response?.data || err.message;
+    console.error("GET /refills/availability error:", details);
+    return res.status(status).json({ error: "server_error", details });
+  }
+});
+
+
+// ========================== TRUCKS (FLEET) ===============================
+// Trucks are registered in the trucks table with an id, a display name and their own
+// secret (stored as a sha256 hash). The driver's phone posts fixes to
+// POST /trucks/:id/location with x-truck-secret. The "default" truck is the original
+// single truck: it keeps the legacy /truck/location routes and TRUCK_LOCATION_SECRET.
+//
+// Customers only see trucks assigned to one of their refills scheduled today
+// (refill_truck_assignments); admins (x-admin-key) see every truck.
+
+const DEFAULT_TRUCK_ID = "default";
+
+function hashTruckSecret(secret) {
+  return crypto.createHash("sha256").update(String(secret)).digest("hex");
+}
+
+function rowToTruck(row) {
+  return { id: row.id, name: row.name, active: row.active };
+}
+
+async function getTruck(truckId) {
+  const { rows } = await pool.query(`select * from trucks where id = $1`, [String(truckId)]);
+  return rows[0] || null;
+}
+
+async function verifyTruckSecret(truckId, secret) {
+  if (!secret) return false;
+  if (truckId === DEFAULT_TRUCK_ID && secret === TRUCK_LOCATION_SECRET) return true;
+
+  const truck = await getTruck(truckId);
+  if (!truck || !truck.active || !truck.secret_hash) return false;
+
+  const given = Buffer.from(hashTruckSecret(secret), "hex");
+  const stored = Buffer.from(truck.secret_hash, "hex");
+  return given.length === stored.length && crypto.timingSafeEqual(given, stored);
+}
+
+// Trucks the customer may see right now: assigned to one of their refills today (NY date)
+async function getVisibleTruckIdsForEmail(email) {
+  const { rows } = await pool.query(
+    `
+    select distinct truck_id
+    from refill_truck_assignments
+    where email = $1 and service_date = $2
+    `,
+    [email.toLowerCase(), formatYMDInNY(new Date())]
+  );
+  const truckIds = rows.map((r) => r.truck_id);
+
+  // An open refill today with no assignment is on DEFAULT_TRUCK_ID, as for ETAs and
+  // arrival pushes (see getRefillTruckId)
+  if (!truckIds.includes(DEFAULT_TRUCK_ID)) {
+    const unassigned = await pool.query(
+      `
+      select l.task_id
+      from refill_locations l
+      left join refill_truck_assignments a on a.task_id = l.task_id
+      where l.email = $1 and a.task_id is null
+      `,
+      [email.toLowerCase()]
+    );
+    if (unassigned.rows.length) {
+      const openToday = new Set(await getTodaysOpenRefillTaskIds());
+      if (unassigned.rows.some((r) => openToday.has(r.task_id))) {
+        truckIds.push(DEFAULT_TRUCK_ID);
+      }
+    }
+  }
+
+  return truckIds;
+}
+
+async function canSeeTruck(req, truckId) {
+  if (isAdminRequest(req)) return true;
+  const email = callerEmail(req, req.query?.email);
+  if (!email) return false;
+  return (await getVisibleTruckIdsForEmail(email)).includes(String(truckId));
+}
+
+// ---- Truck location persistence
+// Every fix is stored in truck_locations; truckLocations holds the latest fix per truck.
+const TRUCK_LOCATION_RETENTION_DAYS = Number(process.env.TRUCK_LOCATION_RETENTION_DAYS) || 90;
+const TRUCK_HISTORY_MAX_POINTS = Number(process.env.TRUCK_HISTORY_MAX_POINTS) || 1000;
+
+function rowToTruckLocation(row) {
+  return {
+    lat: row.lat,
+    lng: row.lng,
+    heading: row.heading,
+    speed: row.speed,
+    updatedAt: new Date(row.recorded_at).toISOString(),
+  };
+}
+
+async function insertTruckLocation(truckId, loc) {
+  await pool.query(
+    `
+    insert into truck_locations (truck_id, lat, lng, heading, speed, recorded_at)
+    values ($1, $2, $3, $4, $5, $6)
+    `,
+    [truckId, loc.lat, loc.lng, loc.heading, loc.speed, loc.updatedAt]
+  );
+}
+
+async function getLatestTruckLocation(truckId) {
+  const { rows } = await pool.query(
+    `select * from truck_locations where truck_id = $1 order by recorded_at desc limit 1`,
+    [truckId]
+  );
+  return rows[0] ? rowToTruckLocation(rows[0]) : null;
+}
+
+// Latest fix for a truck; after a restart, falls back to the last stored fix
+async function getTruckLocation(truckId) {
+  if (!truckLocations.has(truckId)) {
+    try {
+      const stored = await getLatestTruckLocation(truckId);
+      if (stored) truckLocations.set(truckId, stored);
+    } catch (err) {
+      console.error("Error loading truck location:", truckId, err.message);
+    }
+  }
+  return truckLocations.get(truckId) || null;
+}
+
+// Points in [from, to], evenly thinned to at most TRUCK_HISTORY_MAX_POINTS
+// (first point of every n-th, always in time order)
+async function getTruckLocationHistory(truckId, from, to) {
+  const { rows: countRows } = await pool.query(
+    `
+    select count(*)::int as n
+    from truck_locations
+    where truck_id = $1 and recorded_at between $2 and $3
+    `,
+    [truckId, from, to]
+  );
+  const total = countRows[0].n;
+  const step = Math.max(1, Math.ceil(total / TRUCK_HISTORY_MAX_POINTS));
+
+  const { rows } = await pool.query(
+    `
+    select lat, lng, heading, speed, recorded_at
+    from (
+      select *, row_number() over (order by recorded_at) as rn
+      from truck_locations
+      where truck_id = $1 and recorded_at between $2 and $3
+    ) t
+    where (rn - 1) % $4 = 0
+    order by recorded_at
+    `,
+    [truckId, from, to, step]
+  );
+
+  return { total, step, points: rows.map(rowToTruckLocation) };
+}
+
+async function pruneTruckLocations() {
+  const result = await pool.query(
+    `delete from truck_locations where recorded_at < now() - make_interval(days => $1::int)`,
+    [Math.round(TRUCK_LOCATION_RETENTION_DAYS)]
+  );
+  if (result.rowCount) {
+    console.log("Pruned truck locations:", result.rowCount);
+  }
+}
+
+// ---- Live stream (Server-Sent Events)
+// Events: "location" (each new fix), "status" ({ status: live | stale | unknown, updatedAt })
+// whenever it changes, and "heartbeat" every TRUCK_STREAM_HEARTBEAT_SECONDS so mobile
+// networks and proxies don't drop idle connections.
+const TRUCK_LOCATION_STALE_SECONDS = Number(process.env.TRUCK_LOCATION_STALE_SECONDS) || 120;
+const TRUCK_STREAM_HEARTBEAT_SECONDS = Number(process.env.TRUCK_STREAM_HEARTBEAT_SECONDS) || 20;
+
+const truckStreamClients = new Map(); // truckId -> Set(res)
+const lastBroadcastTruckStatus = new Map(); // truckId -> status
+
+function truckLocationStatus(loc) {
+  if (!loc) return "unknown";
+  const ageMs = Date.now() - Date.parse(loc.updatedAt);
+  return ageMs > TRUCK_LOCATION_STALE_SECONDS * 1000 ? "stale" : "live";
+}
+
+function sendSse(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function broadcastTruckEvent(truckId, event, data) {
+  for (const res of truckStreamClients.get(truckId) || []) {
+    sendSse(res, event, data);
+  }
+}
+
+function broadcastTruckStatusIfChanged(truckId) {
+  const loc = truckLocations.get(truckId) || null;
+  const status = truckLocationStatus(loc);
+  if (status === lastBroadcastTruckStatus.get(truckId)) return;
+  lastBroadcastTruckStatus.set(truckId, status);
+  broadcastTruckEvent(truckId, "status", { truckId, status, updatedAt: loc?.updatedAt ?? null });
+}
+
+function startTruckStreamTimer() {
+  setInterval(() => {
+    for (const truckId of truckStreamClients.keys()) {
+      broadcastTruckStatusIfChanged(truckId);
+      broadcastTruckEvent(truckId, "heartbeat", { at: new Date().toISOString() });
+    }
+  }, TRUCK_STREAM_HEARTBEAT_SECONDS * 1000).unref();
+}
+
+async function openTruckStream(truckId, req, res) {
+  const loc = await getTruckLocation(truckId);
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  // Ask EventSource to wait 5s before reconnecting
+  res.write('retry: 5000\n\n');
+  sendSse(res, 'status', {
+    truckId,
+    status: truckLocationStatus(loc),
+    updatedAt: loc?.updatedAt ?? null,
+  });
+  if (loc) sendSse(res, 'location', loc);
+
+  if (!truckStreamClients.has(truckId)) truckStreamClients.set(truckId, new Set());
+  truckStreamClients.get(truckId).add(res);
+  req.on('close', () => {
+    const clients = truckStreamClients.get(truckId);
+    clients?.delete(res);
+    if (clients && clients.size === 0) truckStreamClients.delete(truckId);
+  });
+}
+
+// Validates a fix from the driver's phone, stores it and fans it out.
+// Returns { error } (400) or { location }.
+async function recordTruckLocation(truckId, body) {
+  const { lat, lng, heading, speed } = body || {};
+
+  if (typeof lat !== 'number' || typeof lng !== 'number') {
+    return { error: 'lat and lng must be numbers' };
+  }
+
+  const location = {
+    lat,
+    lng,
+    heading: typeof heading === 'number' ? heading : null,
+    speed: typeof speed === 'number' ? speed : null,
+    updatedAt: new Date().toISOString()
+  };
+  truckLocations.set(truckId, location);
+
+  broadcastTruckEvent(truckId, 'location', location);
+  broadcastTruckStatusIfChanged(truckId);
+
+  // A storage hiccup must not stop live tracking; the point is just missing from history
+  try {
+    await insertTruckLocation(truckId, location);
+  } catch (err) {
+    console.error('Error storing truck location:', truckId, err.message);
+  }
+
+  // Not awaited: the driver's phone shouldn't wait on HubSpot or FCM
+  notifyArrivingRefills(truckId, location).catch((err) => {
+    console.error('Error checking truck arrivals:', truckId, err.message);
+  });
+
+  return { location };
+}
+
+// GET /truck/location/stream   (default truck)
+// Same visibility as /trucks/:id/location: admins, or customers it is assigned to today
+app.get('/truck/location/stream', async (req, res) => {
+  try {
+    if (!(await canSeeTruck(req, DEFAULT_TRUCK_ID))) {
+      return res.status(404).json({ error: 'truck_not_found' });
+    }
+  } catch (err) {
+    console.error('GET /truck/location/stream error:', err.message);
+    return res.status(500).json({ error: 'server_error' });
+  }
+
+  await openTruckStream(DEFAULT_TRUCK_ID, req, res);
+});
+
+// GET /truck/location   (default truck)
+// Returns { lat, lng, heading, speed, updatedAt } or 404 if unknown or not visible
+app.get('/truck/location', async (req, res) => {
+  try {
+    if (!(await canSeeTruck(req, DEFAULT_TRUCK_ID))) {
+      return res.status(404).json({ error: 'truck_not_found' });
+    }
+
+    const loc = await getTruckLocation(DEFAULT_TRUCK_ID);
+    if (!loc) {
+      return res.status(404).json({ error: 'Truck location not available' });
+    }
+
+    return res.json(loc);
+  } catch (err) {
+    console.error('GET /truck/location error:', err.message);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+
+// POST /truck/location   (default truck)
+// Body: { lat: number, lng: number, heading?: number, speed?: number }
+// Header: x-truck-secret: <TRUCK_LOCATION_SECRET>
+app.post('/truck/location', async (req, res) => {
+  try {
+    const secret = req.headers['x-truck-secret'];
+    if (!secret || secret !== TRUCK_LOCATION_SECRET) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const result = await recordTruckLocation(DEFAULT_TRUCK_ID, req.body);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    return res.json({ status: 'ok' });
+  } catch (err) {
+    console.error('Error updating truck location:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /truck/location/history?from=ISO&to=ISO&truckId=   (header x-admin-key)
+// Defaults to the default truck over the last 24 hours.
+// Large ranges are downsampled to TRUCK_HISTORY_MAX_POINTS.
+app.get('/truck/location/history', requireAdmin, async (req, res) => {
+  try {
+    const truckId = (req.query.truckId ?? DEFAULT_TRUCK_ID).toString();
+    const to = req.query.to ? new Date(String(req.query.to)) : new Date();
+    const from = req.query.from
+      ? new Date(String(req.query.from))
+      : new Date(to.getTime() - 24 * 3600 * 1000);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+      return res.status(400).json({ error: 'from and to must be ISO timestamps' });
+    }
+    if (from > to) {
+      return res.status(400).json({ error: 'from must not be after to' });
+    }
+
+    const { total, step, points } = await getTruckLocationHistory(truckId, from, to);
+
+    return res.json({
+      truckId,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      totalPoints: total,
+      downsampled: step > 1,
+      sampleEvery: step,
+      count: points.length,
+      points,
+    });
+  } catch (err) {
+    console.error('Error loading truck location history:', err.message);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ---- Fleet routes
+
+// GET /trucks
+// Admin: every truck. Customer: trucks assigned to their refills today (an open refill
+// without an assignment counts as the default truck).
+// Returns { trucks: [ { id, name, active, location, status } ] }
+app.get("/trucks", async (req, res) => {
+  try {
+    let rows;
+    if (isAdminRequest(req)) {
+      ({ rows } = await pool.query(`select * from trucks order by created_at, id`));
+    } else {
+      const email = callerEmail(req, req.query?.email);
+      if (!email) {
+        return res.status(400).json({ error: "email is required" });
+      }
+      const ids = await getVisibleTruckIdsForEmail(email);
+      ({ rows } = await pool.query(
+        `select * from trucks where id = any($1) order by created_at, id`,
+        [ids]
+      ));
+    }
+
+    const trucks = [];
+    for (const row of rows) {
+      const location = await getTruckLocation(row.id);
+      trucks.push({ ...rowToTruck(row), location, status: truckLocationStatus(location) });
+    }
+
+    return res.json({ trucks });
+  } catch (err) {
+    console.error("GET /trucks error:", err.message);
+    return res.status(500).json({ error: "server_error" });
+  }
+});
+
+// POST /trucks  { id, name }   (header x-admin-key)
+// Registers a truck and returns its secret. The secret is only shown here.
+app.post("/trucks", requireAdmin, async (req, res) => {
+  try {
+    const id = (req.body?.id ?? "").toString().trim();
+    const name = (req.body?.name ?? "").toString().trim();
+    if (!/^[a-z0-9_-]{1,40}$/i.test(id) || !name) {
+      return res
+        .status(400)
+        .json({ error: "id (letters, digits, - or _) and name are required" });
+    }
+
+    const secret = crypto.randomBytes(24).toString("base64url");
+    const { rows } = await pool.query(
+      `
+      insert into trucks (id, name, secret_hash)
+      values ($1, $2, $3)
+      on conflict (id) do nothing
+      returning *
+      `,
+      [id, name, hashTruckSecret(secret)]
+    );
+    if (!rows[0]) {
+      return res.status(409).json({ error: "truck_exists" });
+    }
+
+    return res.status(201).json({ truck: rowToTruck(rows[0]), secret });
+  } catch (err) {
+    console.error("POST /trucks error:", err.message);
+    return res.status(500).json({ error: "server_error" });
+  }
+});
+
+// POST /trucks/:id/secret   (header x-admin-key)
+// Issues a new secret for a truck (e.g. lost phone); the old one stops working.
+app.post("/trucks/:id/secret", requireAdmin, async (req, res) => {
+  try {
+    const secret = crypto.randomBytes(24).toString("base64url");
+    const { rows } = await pool.query(
+      `update trucks set secret_hash = $2 where id = $1 returning *`,
+      [req.params.id, hashTruckSecret(secret)]
+    );
+    if (!rows[0]) {
+      return res.status(404).json({ error: "truck_not_found" });
+    }
+
+    return res.json({ truck: rowToTruck(rows[0]), secret });
+  } catch (err) {
+    console.error("POST /trucks/:id/secret error:", err.message);
+    return res.status(500).json({ error: "server_error" });
+  }
+});
+
+// GET /trucks/:id/location
+app.get("/trucks/:id/location", async (req, res) => {
   try {
-    const email = (req.query.email ?? "").toString().trim();
-    if (!email) {
-      return res.status(400).json({ error: "email is required" });
+    if (!(await canSeeTruck(req, req.params.id))) {
+      return res.status(404).json({ error: "truck_not_found" });
     }
 
-    const searchResp = await hs.post("/crm/v3/objects/contacts/search", {
-      filterGroups: [
-        {
-          filters: [{ propertyName: "email", operator: "EQ", value: email }],
-        },
-      ],
-      properties: ["email", "firstname", "lastname", "phone", "jobtitle"],
-      limit: 1,
-    });
-
-    const contact = searchResp.data?.results?.[0] || null;
-    if (!contact) {
-      return res.status(404).json({ error: "not_found" });
+    const location = await getTruckLocation(req.params.id);
+    if (!location) {
+      return res.status(404).json({ error: "Truck location not available" });
     }
 
-    const props = contact.properties || {};
-    return res.json({
-      email: props.email || email,
-      firstName: props.firstname || "",
-      lastName: props.lastname || "",
-      phone: props.phone || "",
-      jobTitle: props.jobtitle || "",
-    });
+    return res.json({ truckId: req.params.id, ...location, status: truckLocationStatus(location) });
   } catch (err) {
-    const status = err.response?.status || 500;
-    console.error(
-      "GET /contacts/status error:",
-      err.response?.data || err.message
-    );
-    return res.status(status).json({ error: "server_error" });
+    console.error("GET /trucks/:id/location error:", err.message);
+    return res.status(500).json({ error: "server_error" });
   }
 });
 
-// ========================== REFILL BOOKING / TASK CREATION ===============================
-
-/**
- * POST /refills/book
- * Body: { email, serviceLocation, scheduledAt, vehicle: { name, plate, color } }
- * Creates a HubSpot CRM task associated to the contact representing this refill request.
- */
-app.post("/refills/book", async (req, res) => {
+// GET /trucks/:id/location/stream
+app.get("/trucks/:id/location/stream", async (req, res) => {
   try {
-    const email = (req.body?.email ?? "").toString().trim();
-    const serviceLocation = (req.body?.serviceLocation ?? "")
-      .toString()
-      .trim();
-    const scheduledAt = (req.body?.scheduledAt ?? "").toString().trim();
-const vehicle = req.body?.vehicle || {};
-const psiCheckRequested = Boolean(req.body?.psiCheck);
-    if (!email || !serviceLocation || !scheduledAt) {
-      return res.status(400).json({
-        error: "email, serviceLocation, and scheduledAt are required",
-      });
+    if (!(await canSeeTruck(req, req.params.id))) {
+      return res.status(404).json({ error: "truck_not_found" });
     }
+  } catch (err) {
+    console.error("GET /trucks/:id/location/stream error:", err.message);
+    return res.status(500).json({ error: "server_error" });
+  }
 
-    const contact = await getContactByEmail(email);
-    if (!contact || !contact.id) {
-      return res.status(404).json({ error: "contact_not_found" });
+  await openTruckStream(req.params.id, req, res);
+});
+
+// POST /trucks/:id/location
+// Body: { lat: number, lng: number, heading?: number, speed?: number }
+// Header: x-truck-secret: <that truck's secret>
+app.post("/trucks/:id/location", async (req, res) => {
+  try {
+    const truckId = req.params.id;
+    if (!(await verifyTruckSecret(truckId, req.headers["x-truck-secret"]))) {
+      return res.status(401).json({ error: "Unauthorized" });
     }
-    const isSubscriber = String(contact.properties?.jobtitle || "").trim() === "1";
-const psiCheck = isSubscriber && psiCheckRequested;
 
-    const vehicleName = (vehicle.name ?? "").toString().trim();
-    const vehiclePlate = (vehicle.plate ?? "").toString().trim();
-    const vehicleColor = (vehicle.color ?? "").toString().trim();
+    const result = await recordTruckLocation(truckId, req.body);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
 
-    const vehicleLabel = [vehicleName, vehiclePlate]
-  .map((v) => (v || "").toString().trim())
-  .filter(Boolean)
-  .join(" ");
+    return res.json({ status: "ok" });
+  } catch (err) {
+    console.error("POST /trucks/:id/location error:", err.message);
+    return res.status(500).json({ error: "server_error" });
+  }
+});
 
-let subject = vehicleLabel ? `Refill request - ${vehicleLabel}` : "Refill request";
-if (psiCheck) subject += " - PSI CHECK";
+// ---- Refill -> truck assignment
 
-    const bodyLines = [
-      "New refill request from iOS app.",
-      "",
-      `Service location: ${serviceLocation}`,
-      `Scheduled for: ${scheduledAt}`,
-      "",
-      `Vehicle: ${vehicleName || "N/A"}`,
-      `Plate: ${vehiclePlate || "N/A"}`,
-      `Color: ${vehicleColor || "N/A"}`,
-    ];
-    const taskBody = bodyLines.join("\n");
+// POST /refills/:taskId/truck  { truckId }   (header x-admin-key)
+// Assigns a refill to a truck. The customer and service date are copied from the task.
+app.post("/refills/:taskId/truck", requireAdmin, async (req, res) => {
+  try {
+    const taskId = req.params.taskId;
+    const truckId = (req.body?.truckId ?? "").toString().trim();
 
-    const taskResp = await hs.post("/crm/v3/objects/tasks", {
-      properties: {
-        hs_timestamp: scheduledAt,
-        hs_task_subject: subject,
-        hs_task_body: taskBody,
-        hs_task_status: "NOT_STARTED",
-        hs_task_priority: "HIGH",
-        hs_task_type: "TODO",
-      },
-    });
+    const truck = truckId ? await getTruck(truckId) : null;
+    if (!truck) {
+      return res.status(404).json({ error: "truck_not_found" });
+    }
 
-    const taskId = taskResp.data?.id;
-    if (!taskId) {
-      return res.status(500).json({ error: "task_creation_failed" });
+    let task;
+    try {
+      const taskResp = await hs.get(`/crm/v3/objects/tasks/${encodeURIComponent(taskId)}`, {
+        params: { properties: REFILL_TASK_PROPERTIES.join(","), associations: "contacts" },
+      });
+      task = taskResp.data;
+    } catch (err) {
+      if (err.response?.status === 404) {
+        return res.status(404).json({ error: "refill_not_found" });
+      }
+      throw err;
+    }
+    if (!isRefillTaskSubject(task?.properties?.hs_task_subject)) {
+      return res.status(404).json({ error: "refill_not_found" });
     }
 
-    await hs.put(
-      `/crm/v3/objects/tasks/${taskId}/associations/contacts/${contact.id}/task_to_contact`
+    const contactId =
+      (task.associations?.contacts?.results || [])[0]?.id ?? null;
+    if (!contactId) {
+      return res.status(409).json({ error: "refill_has_no_contact" });
+    }
+    const contactResp = await hs.get(`/crm/v3/objects/contacts/${contactId}`, {
+      params: { properties: "email" },
+    });
+    const email = (contactResp.data?.properties?.email ?? "").toString().trim().toLowerCase();
+
+    const scheduledAtMs = parseHubSpotTimestamp(task.properties?.hs_timestamp);
+    const serviceDate = scheduledAtMs != null ? formatYMDInNY(new Date(scheduledAtMs)) : null;
+
+    await pool.query(
+      `
+      insert into refill_truck_assignments (task_id, truck_id, email, service_date)
+      values ($1, $2, $3, $4)
+      on conflict (task_id)
+      do update set truck_id = excluded.truck_id, email = excluded.email,
+                    service_date = excluded.service_date, assigned_at = now()
+      `,
+      [String(taskId), truck.id, email, serviceDate]
     );
 
-    return res.status(201).json({ ok: true, taskId });
+    return res.json({ ok: true, taskId: String(taskId), truckId: truck.id, serviceDate });
   } catch (err) {
     const status = err.response?.status || 500;
     const details = err.response?.data || err.message;
-    console.error("POST /refills/book error:", details);
+    console.error("POST /refills/:taskId/truck error:", details);
     return res.status(status).json({ error: "server_error", details });
   }
 });
 
-// GET /refills/history?email=...
-// Returns refill-related HubSpot tasks for the contact in the shape
-// expected by the iOS app: { refills: [ { id, subject, statusCode, statusLabel, timestamp } ] }
-app.get("/refills/history", async (req, res) => {
+// GET /refills/:taskId/truck
+// The truck assigned to the caller's refill, with its latest location
+app.get("/refills/:taskId/truck", requireOwnedRefillTask, async (req, res) => {
   try {
-    const email = (req.query?.email ?? "").toString().trim();
-    if (!email) {
-      return res.status(400).json({ error: "email is required" });
+    const { rows } = await pool.query(
+      `
+      select t.*, a.service_date
+      from refill_truck_assignments a
+      join trucks t on t.id = a.truck_id
+      where a.task_id = $1
+      `,
+      [String(req.refillTask.id)]
+    );
+    if (!rows[0]) {
+      return res.status(404).json({ error: "truck_not_assigned" });
     }
 
-    const contact = await getContactByEmail(email);
-    if (!contact || !contact.id) {
-      return res.status(404).json({ error: "contact_not_found" });
-    }
+    // Location is only shared on the day of the refill
+    const isServiceDay = rows[0].service_date === formatYMDInNY(new Date());
+    const location = isServiceDay ? await getTruckLocation(rows[0].id) : null;
 
-    const listResp = await hs.get("/crm/v3/objects/tasks", {
-      params: {
-        limit: 100,
-        properties: [
-          "hs_task_subject",
-          "hs_task_body",
-          "hs_timestamp",
-          "hs_task_status",
-        ].join(","),
-        associations: "contacts",
-      },
+    return res.json({
+      taskId: String(req.refillTask.id),
+      truck: rowToTruck(rows[0]),
+      serviceDate: rows[0].service_date,
+      location,
+      status: isServiceDay ? truckLocationStatus(location) : "not_today",
     });
+  } catch (err) {
+    console.error("GET /refills/:taskId/truck error:", err.message);
+    return res.status(500).json({ error: "server_error" });
+  }
+});
 
-    const contactId = String(contact.id);
-    const rawResults = Array.isArray(listResp.data?.results)
-      ? listResp.data.results
-      : [];
+// ---- Refill ETA
+// Straight-line estimate: truck's latest fix -> each open stop scheduled before this refill
+// on the same truck and day -> this refill's coordinates, at TRUCK_AVERAGE_SPEED_MPH plus
+// REFILL_STOP_SERVICE_MINUTES per stop ahead. The window runs from that estimate to
+// REFILL_ETA_WINDOW_MINUTES later (roads are never straight).
+const TRUCK_AVERAGE_SPEED_MPH = Number(process.env.TRUCK_AVERAGE_SPEED_MPH) || 25;
+const REFILL_STOP_SERVICE_MINUTES = Number(process.env.REFILL_STOP_SERVICE_MINUTES) || 15;
+const REFILL_ETA_WINDOW_MINUTES = Number(process.env.REFILL_ETA_WINDOW_MINUTES) || 15;
+
+function distanceMiles(a, b) {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * 3958.8 * Math.asin(Math.sqrt(h));
+}
 
-    const refillTasks = rawResults.filter((task) => {
-      const props = task.properties || {};
-      const subject = (props.hs_task_subject || "").toString().trim();
-
-      // Must be associated with this contact
-      const assocContacts =
-        task.associations?.contacts?.results ||
-        task.associations?.contacts ||
-        [];
-      const isAssociated = Array.isArray(assocContacts)
-        ? assocContacts.some((c) => String(c.id) === contactId)
-        : false;
-
-      if (!isAssociated) return false;
-
-      // Consider this a "refill" task if:
-      // - Subject starts with (0), (1), (2), OR
-      // - It contains the word "refill"
-      const lower = subject.toLowerCase();
-      const hasPrefix =
-        subject.startsWith("(0)") ||
-        subject.startsWith("(1)") ||
-        subject.startsWith("(2)");
-      const containsRefill = lower.includes("refill");
-
-      return hasPrefix || containsRefill;
-    });
+async function getRefillTruckId(taskId) {
+  const { rows } = await pool.query(
+    `select truck_id from refill_truck_assignments where task_id = $1`,
+    [String(taskId)]
+  );
+  return rows[0]?.truck_id ?? DEFAULT_TRUCK_ID;
+}
 
-    const mapped = refillTasks.map((task) => {
-      const props = task.properties || {};
-      const rawSubject = (props.hs_task_subject || "").toString();
+// Open refills on the same truck scheduled earlier the same NY day, in visiting order.
+// Returns [ { taskId, scheduledAt, location } ]; location may be null.
+async function getStopsAhead(task, truckId) {
+  const scheduledAtMs = parseHubSpotTimestamp(task.properties?.hs_timestamp);
+  const { ymd } = nyParts(new Date(scheduledAtMs));
+  const dayStart = nyWallTimeToDate(ymd, 0).getTime();
+
+  const earlier = (await searchRefillTasks(dayStart, scheduledAtMs)).filter(
+    (t) => String(t.id) !== String(task.id) && parseRefillStatus(t.properties).statusCode === 0
+  );
+  if (earlier.length === 0) return [];
 
-      let subject = rawSubject;
-      let statusCode = 0;
+  const ids = earlier.map((t) => String(t.id));
+  const { rows } = await pool.query(
+    `select task_id, truck_id from refill_truck_assignments where task_id = any($1)`,
+    [ids]
+  );
+  const truckByTask = new Map(rows.map((r) => [r.task_id, r.truck_id]));
+  const locationsByTask = await getRefillLocationsByTaskIds(ids);
+
+  return earlier
+    .filter((t) => (truckByTask.get(String(t.id)) ?? DEFAULT_TRUCK_ID) === truckId)
+    .map((t) => ({
+      taskId: String(t.id),
+      scheduledAt: parseHubSpotTimestamp(t.properties?.hs_timestamp),
+      location: locationsByTask.get(String(t.id)) || null,
+    }))
+    .sort((a, b) => a.scheduledAt - b.scheduledAt);
+}
 
-      // Parse leading "(0)", "(1)", "(2)" if present
-      const match = rawSubject.match(/^\((\d)\)\s*(.*)$/);
-      if (match) {
-        statusCode = parseInt(match[1], 10) || 0;
-        subject = match[2] || "";
-      } else {
-        // Fallback to HubSpot status
-        const hsStatus = (props.hs_task_status || "").toString().toUpperCase();
-        if (hsStatus === "COMPLETED") {
-          statusCode = 1;
-        } else if (hsStatus === "CANCELED" || hsStatus === "DEFERRED") {
-          statusCode = 2;
-        } else {
-          statusCode = 0;
-        }
-      }
+// ETA for a refill task (HubSpot task with REFILL_TASK_PROPERTIES).
+// Returns { status: "estimated", ... } or { status: "unknown", reason, ... }.
+async function computeRefillEta(task) {
+  const taskId = String(task.id);
+  const truckId = await getRefillTruckId(taskId);
+  const base = { taskId, truckId };
 
-      let statusLabel;
-      switch (statusCode) {
-        case 1:
-          statusLabel = "Completed";
-          break;
-        case 2:
-          statusLabel = "Canceled";
-          break;
-        case 0:
-        default:
-          statusLabel = "In progress";
-          break;
-      }
+  const { statusCode, statusLabel } = parseRefillStatus(task.properties);
+  if (statusCode !== 0) {
+    return { ...base, status: "unknown", reason: "refill_closed", refillStatus: statusLabel };
+  }
 
-      return {
-        id: task.id,
-        subject,
-        timestamp: props.hs_timestamp || task.createdAt || null,
-        statusCode,
-        statusLabel,
-        details: (props.hs_task_body || "").toString(),
-      };
-    });
+  const scheduledAtMs = parseHubSpotTimestamp(task.properties?.hs_timestamp);
+  if (scheduledAtMs == null || nyParts(new Date(scheduledAtMs)).ymd !== formatYMDInNY(new Date())) {
+    return { ...base, status: "unknown", reason: "not_service_day" };
+  }
 
-    // Newest first
-    mapped.sort((a, b) => {
-      const aTime = a.timestamp ? Date.parse(a.timestamp) : 0;
-      const bTime = b.timestamp ? Date.parse(b.timestamp) : 0;
-      return bTime - aTime;
-    });
+  const destination = await getRefillLocation(taskId);
+  if (!destination || destination.lat == null) {
+    return { ...base, status: "unknown", reason: "no_service_coordinates" };
+  }
 
-    return res.json({
-      email,
-      contactId,
-      refills: mapped,
-    });
+  const truckLoc = await getTruckLocation(truckId);
+  const truckStatus = truckLocationStatus(truckLoc);
+  if (truckStatus !== "live") {
+    return {
+      ...base,
+      status: "unknown",
+      reason: truckStatus === "stale" ? "truck_location_stale" : "truck_location_unavailable",
+      truckLocationUpdatedAt: truckLoc?.updatedAt ?? null,
+    };
+  }
+
+  const stopsAhead = await getStopsAhead(task, truckId);
+
+  // Stops without coordinates still cost service time, just no driving leg
+  let from = truckLoc;
+  let miles = 0;
+  for (const stop of stopsAhead) {
+    if (stop.location?.lat == null) continue;
+    miles += distanceMiles(from, stop.location);
+    from = stop.location;
+  }
+  const distanceToRefillMiles = miles + distanceMiles(from, destination);
+
+  const minutes =
+    (distanceToRefillMiles / TRUCK_AVERAGE_SPEED_MPH) * 60 +
+    stopsAhead.length * REFILL_STOP_SERVICE_MINUTES;
+  const earliest = new Date(Date.now() + minutes * 60 * 1000);
+  const latest = new Date(earliest.getTime() + REFILL_ETA_WINDOW_MINUTES * 60 * 1000);
+
+  return {
+    ...base,
+    status: "estimated",
+    stopsAhead: stopsAhead.length,
+    distanceMiles: Math.round(distanceToRefillMiles * 10) / 10,
+    directDistanceMiles: Math.round(distanceMiles(truckLoc, destination) * 10) / 10,
+    etaMinutes: Math.round(minutes),
+    arrivalWindow: { earliest: earliest.toISOString(), latest: latest.toISOString() },
+    truckLocationUpdatedAt: truckLoc.updatedAt,
+  };
+}
+
+// GET /refills/:taskId/eta
+// { status: "estimated", stopsAhead, distanceMiles, etaMinutes, arrivalWindow: { earliest, latest } }
+// or { status: "unknown", reason } (truck_location_stale, not_service_day, ...)
+app.get("/refills/:taskId/eta", requireOwnedRefillTask, async (req, res) => {
+  try {
+    return res.json(await computeRefillEta(req.refillTask));
   } catch (err) {
     const status = err.response?.status || 500;
     const details = err.response?.data || err.message;
-    console.error("GET /refills/history error:", details);
+    console.error("GET /refills/:taskId/eta error:", details);
     return res.status(status).json({ error: "server_error", details });
   }
 });
 
+// ---- "Truck is arriving" push
+// After each fix, open refills booked for today on that truck whose service coordinates
+// are within TRUCK_ARRIVING_RADIUS_MILES get one push. refill_arrival_notifications is
+// claimed before sending so GPS jitter around the edge of the radius can't repeat it.
+const TRUCK_ARRIVING_RADIUS_MILES = Number(process.env.TRUCK_ARRIVING_RADIUS_MILES) || 0.5;
+// Today's open refills come from HubSpot; re-read at most this often. Bookings, cancels
+// and reschedules through this server drop the cache, and each task is re-checked in
+// HubSpot before its push in case it was changed there directly.
+const ARRIVAL_TASKS_CACHE_MS = 5 * 60 * 1000;
+
+let arrivalTasksCache = { ymd: null, loadedAt: 0, taskIds: [] };
+
+function invalidateArrivalTasksCache() {
+  arrivalTasksCache = { ymd: null, loadedAt: 0, taskIds: [] };
+}
 
-// GET /truck/location
-// Returns { lat, lng, heading, speed, updatedAt } or 404 if unknown
-app.get('/truck/location', (req, res) => {
-  if (!truckLocation) {
-    return res.status(404).json({ error: 'Truck location not available' });
+async function isOpenRefillOn(taskId, ymd) {
+  try {
+    const taskResp = await hs.get(`/crm/v3/objects/tasks/${encodeURIComponent(taskId)}`, {
+      params: { properties: REFILL_TASK_PROPERTIES.join(",") },
+    });
+    const props = taskResp.data?.properties || {};
+    const ms = parseHubSpotTimestamp(props.hs_timestamp);
+    return (
+      parseRefillStatus(props).statusCode === 0 &&
+      ms != null &&
+      formatYMDInNY(new Date(ms)) === ymd
+    );
+  } catch (err) {
+    if (err.response?.status === 404) return false;
+    throw err;
   }
+}
 
-  return res.json(truckLocation);
-});
+async function getTodaysOpenRefillTaskIds() {
+  const ymd = formatYMDInNY(new Date());
+  if (arrivalTasksCache.ymd === ymd && Date.now() - arrivalTasksCache.loadedAt < ARRIVAL_TASKS_CACHE_MS) {
+    return arrivalTasksCache.taskIds;
+  }
 
+  const tasks = await searchRefillTasks(
+    nyWallTimeToDate(ymd, 0).getTime(),
+    nyWallTimeToDate(addDaysYMD(ymd, 1), 0).getTime()
+  );
+  const taskIds = tasks
+    .filter((t) => parseRefillStatus(t.properties).statusCode === 0)
+    .map((t) => String(t.id));
 
-// POST /truck/location
-// Body: { lat: number, lng: number, heading?: number, speed?: number }
-// Header: x-truck-secret: <TRUCK_LOCATION_SECRET>
-app.post('/truck/location', (req, res) => {
-  try {
-    const secret = req.headers['x-truck-secret'];
-    if (!secret || secret !== TRUCK_LOCATION_SECRET) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
+  arrivalTasksCache = { ymd, loadedAt: Date.now(), taskIds };
+  return taskIds;
+}
+
+async function claimArrivalNotification(taskId, email, truckId) {
+  const result = await pool.query(
+    `
+    insert into refill_arrival_notifications (task_id, email, truck_id)
+    values ($1, $2, $3)
+    on conflict (task_id) do nothing
+    `,
+    [taskId, email, truckId]
+  );
+  return result.rowCount === 1;
+}
+
+async function releaseArrivalNotification(taskId) {
+  await pool.query(`delete from refill_arrival_notifications where task_id = $1`, [taskId]);
+}
 
-    const { lat, lng, heading, speed } = req.body || {};
+async function notifyArrivingRefills(truckId, loc) {
+  if (!admin.apps.length) return;
 
-    if (typeof lat !== 'number' || typeof lng !== 'number') {
-      return res.status(400).json({ error: 'lat and lng must be numbers' });
+  const taskIds = await getTodaysOpenRefillTaskIds();
+  if (taskIds.length === 0) return;
+
+  const { rows } = await pool.query(
+    `
+    select l.task_id, l.email, l.lat, l.lng
+    from refill_locations l
+    left join refill_truck_assignments a on a.task_id = l.task_id
+    left join refill_arrival_notifications n on n.task_id = l.task_id
+    where l.task_id = any($1)
+      and l.lat is not null
+      and n.task_id is null
+      and coalesce(a.truck_id, $2) = $3
+    `,
+    [taskIds, DEFAULT_TRUCK_ID, truckId]
+  );
+
+  const today = formatYMDInNY(new Date());
+  for (const row of rows) {
+    const miles = distanceMiles(loc, row);
+    if (miles > TRUCK_ARRIVING_RADIUS_MILES) continue;
+    if (!(await isOpenRefillOn(row.task_id, today))) {
+      invalidateArrivalTasksCache();
+      continue;
     }
+    if (!(await claimArrivalNotification(row.task_id, row.email, truckId))) continue;
 
-    truckLocation = {
-      lat,
-      lng,
-      heading: typeof heading === 'number' ? heading : null,
-      speed: typeof speed === 'number' ? speed : null,
-      updatedAt: new Date().toISOString()
-    };
+    try {
+      const minutes = Math.max(1, Math.round((miles / TRUCK_AVERAGE_SPEED_MPH) * 60));
+      const resp = await sendPushToEmail(row.email, {
+        title: "Your Gas Me Up truck is almost there",
+        body: `The truck is about ${minutes} min away.`,
+        data: { type: "truck_arriving", taskId: row.task_id, truckId },
+      });
 
-    return res.json({ status: 'ok' });
-  } catch (err) {
-    console.error('Error updating truck location:', err);
-    return res.status(500).json({ error: 'Internal server error' });
+      console.log("TRUCK ARRIVING PUSH", {
+        taskId: row.task_id,
+        email: row.email,
+        miles: Math.round(miles * 100) / 100,
+        suppressed: resp.suppressed,
+        successCount: resp.successCount,
+        failureCount: resp.failureCount,
+      });
+    } catch (err) {
+      // Let the next fix try again
+      await releaseArrivalNotification(row.task_id).catch(() => {});
+      console.error("TRUCK ARRIVING PUSH error:", row.task_id, err?.message ?? err);
+    }
   }
-});
+}
 
 //stripe-refill-payment
 
 
 // ✅ Mark HubSpot subscriber ONLY after payment is confirmed succeeded
+// and the caller's own Stripe customer has an entitled subscription (the payment alone
+// proves nothing: it could be a refill payment)
 app.post("/stripe/confirm-subscription-success", async (req, res) => {
   try {
-    const { email, paymentIntentClientSecret } = req.body || {};
+    const { paymentIntentClientSecret } = req.body || {};
+    const email = callerEmail(req, req.body?.email);
     if (!email || !paymentIntentClientSecret) {
       return res.status(400).json({ error: "Missing email or paymentIntentClientSecret" });
     }
@@ -1284,7 +4824,9 @@ app.post("/stripe/confirm-subscription-success", async (req, res) => {
       return res.status(400).json({ error: "Invalid paymentIntentClientSecret" });
     }
 
-    const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: "2023-10-16" });
+    if (!stripe) {
+      return res.status(500).json({ error: "Stripe not configured (missing STRIPE_SECRET_KEY)" });
+    }
 
     // Ask Stripe for the truth
     const pi = await stripe.paymentIntents.retrieve(paymentIntentId);
@@ -1293,6 +4835,19 @@ app.post("/stripe/confirm-subscription-success", async (req, res) => {
       return res.status(409).json({ error: `Payment not succeeded (status=${pi.status})` });
     }
 
+    const customer = await findStripeCustomerByEmail(email);
+    const piCustomerId = typeof pi.customer === "string" ? pi.customer : pi.customer?.id;
+    if (!customer || piCustomerId !== customer.id) {
+      return res.status(403).json({ error: "payment_not_owned" });
+    }
+
+    const subscription = await getCurrentStripeSubscription(customer.id);
+    if (!subscription || !SUBSCRIPTION_ENTITLED_STATUSES.has(subscription.status)) {
+      return res.status(409).json({
+        error: `Subscription not active (status=${subscription?.status ?? "none"})`,
+      });
+    }
+
     // ✅ Now (and only now) update HubSpot
     await markContactAsSubscriberByEmail(email);
 
@@ -1313,12 +4868,50 @@ app.post("/stripe/init-refill-payment", async (req, res) => {
         .json({ error: { message: "Stripe not configured (missing STRIPE_SECRET_KEY)" } });
     }
 
-    const email = (req.body?.email ?? "").toString().trim();
+    const email = callerEmail(req, req.body?.email);
     const name = (req.body?.name ?? "").toString().trim();
     if (!email) {
       return res.status(400).json({ error: { message: "email required" } });
     }
 
+    // Amount is always computed server-side; any client amountCents is ignored.
+    // With a quoteId the charge is exactly what /refills/quote showed the customer.
+    const quoteId = (req.body?.quoteId ?? "").toString().trim();
+    let quote;
+
+    if (quoteId) {
+      const stored = await loadRefillQuote(quoteId, email);
+      if (stored.error) {
+        const status = stored.error === "quote_expired" ? 410 : 404;
+        return res.status(status).json({ error: { message: stored.error } });
+      }
+      quote = stored.quote;
+    } else {
+      const order = parseRefillOrder(req.body);
+      if (order.error) {
+        return res.status(400).json({ error: { message: order.error } });
+      }
+
+      const contact = await getContactByEmail(email);
+      const prices = await fetchGasPrices();
+      quote = computeRefillQuote({
+        ...order,
+        isSubscriber: isSubscriberContact(contact),
+        prices,
+      });
+      if (!quote) {
+        return res.status(503).json({ error: { message: `price_unavailable for ${order.grade}` } });
+      }
+    }
+
+    if (quote.totalCents < REFILL_MIN_TOTAL_CENTS) {
+      return res.status(400).json({
+        error: { message: "refill_total_below_minimum" },
+        totalCents: quote.totalCents,
+        minimumCents: REFILL_MIN_TOTAL_CENTS,
+      });
+    }
+
     const customer = await getOrCreateStripeCustomerByEmail(email, name);
 
     const ephemeralKey = await stripe.ephemeralKeys.create(
@@ -1326,12 +4919,8 @@ app.post("/stripe/init-refill-payment", async (req, res) => {
       { apiVersion: "2023-10-16" }
     );
 
-    const amountCents = Number.isFinite(req.body?.amountCents)
-      ? req.body.amountCents
-      : 1500; // default $15
-
     const paymentIntent = await stripe.paymentIntents.create({
-      amount: amountCents,
+      amount: quote.totalCents,
       currency: "usd",
       customer: customer.id,
       automatic_payment_methods: { enabled: true },
@@ -1339,6 +4928,8 @@ app.post("/stripe/init-refill-payment", async (req, res) => {
       metadata: {
         hubspot_email: email,
         app_source: "ios_refill",
+        ...(quoteId ? { quote_id: quoteId } : {}),
+        ...quoteToStripeMetadata(quote),
       },
     });
 
@@ -1347,6 +4938,9 @@ app.post("/stripe/init-refill-payment", async (req, res) => {
       customerId: customer.id,
       ephemeralKeySecret: ephemeralKey.secret,
       paymentIntentClientSecret: paymentIntent.client_secret,
+      amountCents: quote.totalCents,
+      quoteId: quoteId || null,
+      quote,
     });
   } catch (err) {
     console.error(
@@ -1360,15 +4954,29 @@ app.post("/stripe/init-refill-payment", async (req, res) => {
 });
 
 
-app.post("/refills/update", async (req, res) => {
-  try {
-const { taskId, subject, body, scheduledAt, vehicle, cancel } = req.body || {};
+function isCancelRequest(cancel) {
+  return cancel === true || cancel === "true" || cancel === 1 || cancel === "1";
+}
 
-    if (!taskId) {
-      return res.status(400).json({ error: "taskId is required" });
+// POST /refills/update  { taskId, subject?, body?, scheduledAt?, vehicle?, cancel? }
+// Only refill tasks owned by the caller (see requireOwnedRefillTask).
+app.post("/refills/update", requireOwnedRefillTask, async (req, res) => {
+  try {
+    const taskId = req.refillTask.id;
+const { subject, body, scheduledAt, vehicle, cancel } = req.body || {};
+
+    // Only an open refill can be canceled (and refunded); completed or already
+    // canceled ones stay as they are
+    if (isCancelRequest(cancel)) {
+      const { statusCode, statusLabel } = parseRefillStatus(req.refillTask.properties);
+      if (statusCode !== 0) {
+        return res.status(409).json({ error: "refill_not_cancelable", status: statusLabel });
+      }
     }
 
     const properties = {};
+    // Set when a reschedule moved the refill's place to another slot
+    let slot = null;
 
 
 
@@ -1397,6 +5005,18 @@ if (scheduledAt != null) {
     }
   }
 
+  // Only an actual reschedule has to land in an open slot (cancels may resend the old time)
+  const isReschedule =
+    tsMs != null &&
+    tsMs !== parseHubSpotTimestamp(req.refillTask.properties?.hs_timestamp) &&
+    !isCancelRequest(cancel);
+  if (isReschedule) {
+    slot = await reserveRefillSlot(tsMs, { taskId });
+    if (slot.error) {
+      return res.status(409).json({ error: slot.error, scheduledAt });
+    }
+  }
+
   if (tsMs != null) {
     properties.hs_timestamp = tsMs;
   }
@@ -1427,24 +5047,68 @@ properties.hs_task_subject = computedSubject;
 
 
     // If this is a cancel action, mark the HubSpot task as canceled.
-    const isCancel =
-      cancel === true ||
-      cancel === "true" ||
-      cancel === 1 ||
-      cancel === "1";
+    const isCancel = isCancelRequest(cancel);
 
+    let refund = null;
     if (isCancel) {
       // This makes HubSpot’s own status reflect cancellation.
       properties.hs_task_status = "DEFERRED";
+
+      // Refund before touching the task so a Stripe failure leaves the refill intact
+      try {
+        refund = await refundCanceledRefill(
+          taskId,
+          parseHubSpotTimestamp(req.refillTask.properties?.hs_timestamp)
+        );
+      } catch (err) {
+        console.error("POST /refills/update refund error:", taskId, err?.message || err);
+        return res.status(502).json({ error: "refund_failed", details: err?.message });
+      }
+
+      if (refund) {
+        const baseBody =
+          typeof properties.hs_task_body === "string"
+            ? properties.hs_task_body
+            : (req.refillTask.properties?.hs_task_body || "").toString();
+        const note = refund.amountCents
+          ? `Canceled by customer. Refund ${refund.refundId}: ${formatUsd(refund.amountCents)}` +
+            (refund.feeCents ? ` (late-cancel fee kept: ${formatUsd(refund.feeCents)})` : "")
+          : `Canceled by customer. No refund (late-cancel fee: ${formatUsd(refund.feeCents)})`;
+        properties.hs_task_body = [baseBody, "", note].join("\n");
+      }
     }
 
     if (Object.keys(properties).length === 0) {
       return res.status(400).json({ error: "no_updatable_fields" });
     }
 
-    const resp = await hs.patch(`/crm/v3/objects/tasks/${taskId}`, {
-      properties,
-    });
+    let resp;
+    try {
+      resp = await hs.patch(`/crm/v3/objects/tasks/${taskId}`, {
+        properties,
+      });
+    } catch (err) {
+      if (slot) await releaseRefillSlot(slot).catch(() => {});
+      throw err;
+    }
+
+    // A canceled refill gives its place back. Recording the canceled status here keeps
+    // the HubSpot webhook from pushing "canceled" to the customer who just did it.
+    if (isCancel) {
+      await pool.query(`delete from refill_slot_reservations where task_id = $1`, [String(taskId)]);
+      await recordRefillStatus(taskId, 2);
+    }
+
+    // Keep the truck assignment on the refill's (new) day
+    if (properties.hs_timestamp != null) {
+      await pool.query(
+        `update refill_truck_assignments set service_date = $2 where task_id = $1`,
+        [String(taskId), formatYMDInNY(new Date(properties.hs_timestamp))]
+      );
+    }
+    if (isCancel || properties.hs_timestamp != null) {
+      invalidateArrivalTasksCache();
+    }
 
     const props = resp.data?.properties || {};
 
@@ -1458,6 +5122,7 @@ properties.hs_task_subject = computedSubject;
     return res.json({
       success: true,
       task: updatedTask,
+      refund,
     });
   } catch (err) {
     const status = err.response?.status || 500;
@@ -1476,6 +5141,19 @@ const PORTAL_RETURN_URL = process.env.PORTAL_RETURN_URL || "https://gasmeuppgh.c
 
 const STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || "";
 const STRIPE_PUBLISHABLE_KEY = process.env.STRIPE_PUBLISHABLE_KEY || "";
+const STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET || "";
+const STRIPE_SUBSCRIPTION_PRICE_ID = process.env.STRIPE_SUBSCRIPTION_PRICE_ID || "";
+
+// Subscription statuses that grant the HubSpot subscriber flag, and those that revoke it.
+// "incomplete" is neither: the first invoice is still being paid.
+const SUBSCRIPTION_ENTITLED_STATUSES = new Set(["active", "trialing"]);
+const SUBSCRIPTION_LAPSED_STATUSES = new Set([
+  "past_due",
+  "unpaid",
+  "canceled",
+  "incomplete_expired",
+  "paused",
+]);
 
 const stripe = STRIPE_SECRET_KEY
   ? new Stripe(STRIPE_SECRET_KEY, { apiVersion: "2023-10-16" })
@@ -1505,6 +5183,77 @@ async function getOrCreateStripeCustomerByEmail(email, name) {
   });
 }
 
+async function findStripeCustomerByEmail(email) {
+  if (!stripe) throw new Error("Stripe not configured");
+  const existing = await stripe.customers.list({ email, limit: 1 });
+  return existing.data[0] || null;
+}
+
+// Most relevant subscription for a customer: an entitled one if any, else the newest
+async function getCurrentStripeSubscription(customerId) {
+  const list = await stripe.subscriptions.list({
+    customer: customerId,
+    status: "all",
+    limit: 10,
+  });
+  const subs = list.data || [];
+  return subs.find((s) => SUBSCRIPTION_ENTITLED_STATUSES.has(s.status)) || subs[0] || null;
+}
+
+// An abandoned "Become Subscriber" attempt leaves an incomplete subscription behind.
+// Retrying reuses the newest one whose first invoice is still payable or already being
+// paid (so the customer can't end up paying two of them) and cancels any others.
+async function reusableIncompleteSubscription(customerId) {
+  const list = await stripe.subscriptions.list({
+    customer: customerId,
+    status: "incomplete",
+    expand: ["data.latest_invoice.payment_intent"],
+    limit: 10,
+  });
+
+  let reusable = null;
+  for (const sub of list.data || []) {
+    const pi = sub.latest_invoice?.payment_intent;
+    const payable =
+      sub.items?.data?.some((item) => item.price?.id === STRIPE_SUBSCRIPTION_PRICE_ID) &&
+      pi?.client_secret &&
+      ["requires_payment_method", "requires_confirmation", "requires_action", "processing"].includes(
+        pi.status
+      );
+
+    if (!reusable && payable) {
+      reusable = sub;
+    } else {
+      await stripe.subscriptions.cancel(sub.id);
+    }
+  }
+  return reusable;
+}
+
+function serializeSubscription(email, subscription) {
+  if (!subscription) {
+    return {
+      email,
+      active: false,
+      status: "none",
+      subscriptionId: null,
+      currentPeriodEnd: null,
+      cancelAtPeriodEnd: false,
+    };
+  }
+
+  return {
+    email,
+    active: SUBSCRIPTION_ENTITLED_STATUSES.has(subscription.status),
+    status: subscription.status,
+    subscriptionId: subscription.id,
+    currentPeriodEnd: subscription.current_period_end
+      ? new Date(subscription.current_period_end * 1000).toISOString()
+      : null,
+    cancelAtPeriodEnd: Boolean(subscription.cancel_at_period_end),
+  };
+}
+
 app.get("/stripe/publishable-key", (_req, res) => {
   if (!STRIPE_PUBLISHABLE_KEY) {
     return res.status(500).json({ error: "Missing STRIPE_PUBLISHABLE_KEY" });
@@ -1521,7 +5270,7 @@ app.post("/stripe/create-portal-session", async (req, res) => {
         .json({ error: { message: "Stripe not configured (missing STRIPE_SECRET_KEY)" } });
     }
 
-    const email = (req.body?.email ?? "").toString().trim();
+    const email = callerEmail(req, req.body?.email);
     const name = (req.body?.name ?? "").toString().trim();
     if (!email) {
       return res.status(400).json({ error: { message: "email required" } });
@@ -1543,7 +5292,9 @@ app.post("/stripe/create-portal-session", async (req, res) => {
   }
 });
 
-// One-off charge via PaymentIntent. Used by "Become Subscriber" flow.
+// Recurring Stripe Billing subscription. Used by "Become Subscriber" flow.
+// The app confirms the first invoice's PaymentIntent with the returned client secret;
+// the subscriber flag in HubSpot then follows the subscription status via /stripe/webhook.
 app.post("/stripe/init-subscription-payment", async (req, res) => {
   try {
     if (!stripe) {
@@ -1551,37 +5302,58 @@ app.post("/stripe/init-subscription-payment", async (req, res) => {
         .status(500)
         .json({ error: { message: "Stripe not configured (missing STRIPE_SECRET_KEY)" } });
     }
+    if (!STRIPE_SUBSCRIPTION_PRICE_ID) {
+      return res
+        .status(500)
+        .json({ error: { message: "Subscription price not configured (missing STRIPE_SUBSCRIPTION_PRICE_ID)" } });
+    }
 
-    const email = (req.body?.email ?? "").toString().trim();
+    const email = callerEmail(req, req.body?.email);
     const name = (req.body?.name ?? "").toString().trim();
     if (!email) return res.status(400).json({ error: { message: "email required" } });
 
     const customer = await getOrCreateStripeCustomerByEmail(email, name);
 
+    const current = await getCurrentStripeSubscription(customer.id);
+    if (current && SUBSCRIPTION_ENTITLED_STATUSES.has(current.status)) {
+      return res.status(409).json({
+        error: { message: "already_subscribed" },
+        subscriptionId: current.id,
+        status: current.status,
+      });
+    }
+
     const ephemeralKey = await stripe.ephemeralKeys.create(
       { customer: customer.id },
       { apiVersion: "2023-10-16" }
     );
 
-    const amountCents = Number.isFinite(req.body?.amountCents)
-      ? req.body.amountCents
-      : 2500; // default $25
-
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: amountCents,
-      currency: "usd",
-      customer: customer.id,
-      automatic_payment_methods: { enabled: true },
-      setup_future_usage: "off_session",
-      metadata: { hubspot_email: email, app_source: "ios_signup" },
-    });
-
-    // Mark HubSpot contact as subscriber (jobtitle = "1") after payment intent creation
-    //await markContactAsSubscriberByEmail(email);
+    const subscription =
+      (await reusableIncompleteSubscription(customer.id)) ||
+      (await stripe.subscriptions.create({
+        customer: customer.id,
+        items: [{ price: STRIPE_SUBSCRIPTION_PRICE_ID }],
+        payment_behavior: "default_incomplete",
+        payment_settings: { save_default_payment_method: "on_subscription" },
+        expand: ["latest_invoice.payment_intent"],
+        metadata: { hubspot_email: email, app_source: "ios_signup" },
+      }));
+
+    const paymentIntent = subscription.latest_invoice?.payment_intent;
+    if (!paymentIntent?.client_secret) {
+      return res.status(500).json({ error: { message: "subscription_invoice_missing" } });
+    }
+    if (paymentIntent.status === "processing") {
+      return res.status(409).json({
+        error: { message: "subscription_payment_processing" },
+        subscriptionId: subscription.id,
+      });
+    }
 
     return res.json({
       email,
       customerId: customer.id,
+      subscriptionId: subscription.id,
       ephemeralKeySecret: ephemeralKey.secret,
       paymentIntentClientSecret: paymentIntent.client_secret,
     });
@@ -1591,63 +5363,311 @@ app.post("/stripe/init-subscription-payment", async (req, res) => {
   }
 });
 
-//hubspot get gas prices
+// ---- Subscription status / cancel
 
-app.get("/gas-prices", async (req, res) => {
+// GET /subscription/status?email=...
+// Returns { email, active, status, subscriptionId, currentPeriodEnd, cancelAtPeriodEnd }
+app.get("/subscription/status", async (req, res) => {
   try {
-    // Grab up to 50 tickets with subject + description/body
-    const searchRequest = {
-      filterGroups: [], // you can tighten this later to a specific pipeline if you want
-      properties: ["subject", "description", "hs_ticket_body", "content"],
-      limit: 50,
-    };
+    if (!stripe) {
+      return res
+        .status(500)
+        .json({ error: { message: "Stripe not configured (missing STRIPE_SECRET_KEY)" } });
+    }
 
-    const resp = await hs.post(
-      "/crm/v3/objects/tickets/search",
-      searchRequest
-    );
+    const email = callerEmail(req, req.query?.email);
+    if (!email) return res.status(400).json({ error: { message: "email required" } });
 
-    const prices = {
-      regular: null,
-      mid: null,
-      premium: null,
-    };
+    const customer = await findStripeCustomerByEmail(email);
+    const subscription = customer ? await getCurrentStripeSubscription(customer.id) : null;
 
-    for (const ticket of resp.data.results || []) {
-      const props = ticket.properties || {};
-      const subject = (props.subject || "").trim().toLowerCase();
-      const desc =
-        props.description ||
-        props.hs_ticket_body ||
-        props.content ||
-        "";
-
-      if (!desc) continue;
-
-      // Your convention:
-      // ticket "name" (subject) indicates grade:
-      // r = regular, m = mid, p = premium
-      // be generous in matching so it "just works"
-      const firstChar = subject.first || subject.prefix?.(1); // ignore in JS, just illustration
-
-      const startsWithR = subject.startsWith("r ");
-      const startsWithM = subject.startsWith("m ");
-      const startsWithP = subject.startsWith("p ");
-      const hasRegular = subject.includes("regular");
-      const hasMid = subject.includes("mid");
-      const hasPremium = subject.includes("premium");
-
-      if (!prices.regular && (startsWithR || hasRegular || subject === "r")) {
-        prices.regular = desc;
-      } else if (!prices.mid && (startsWithM || hasMid || subject === "m")) {
-        prices.mid = desc;
-      } else if (
-        !prices.premium &&
-        (startsWithP || hasPremium || subject === "p")
-      ) {
-        prices.premium = desc;
+    return res.json(serializeSubscription(email, subscription));
+  } catch (err) {
+    console.error("GET /subscription/status error:", err?.response?.data || err?.message || err);
+    return res.status(500).json({ error: { message: err?.message || "stripe_error" } });
+  }
+});
+
+// POST /subscription/cancel  { email, immediately? }
+// Default cancels at period end (the customer keeps perks for the time already paid).
+app.post("/subscription/cancel", async (req, res) => {
+  try {
+    if (!stripe) {
+      return res
+        .status(500)
+        .json({ error: { message: "Stripe not configured (missing STRIPE_SECRET_KEY)" } });
+    }
+
+    const email = callerEmail(req, req.body?.email);
+    const immediately = req.body?.immediately === true || req.body?.immediately === "true";
+    if (!email) return res.status(400).json({ error: { message: "email required" } });
+
+    const customer = await findStripeCustomerByEmail(email);
+    const current = customer ? await getCurrentStripeSubscription(customer.id) : null;
+    if (!current || current.status === "canceled") {
+      return res.status(404).json({ error: { message: "no_active_subscription" } });
+    }
+
+    let subscription;
+    if (immediately) {
+      subscription = await stripe.subscriptions.cancel(current.id);
+      // The subscription is canceled either way; the webhook retries the flag if this fails
+      await clearContactSubscriberByEmail(email).catch((err) => {
+        console.error("clearContactSubscriberByEmail error:", err.response?.data || err.message);
+      });
+    } else {
+      subscription = await stripe.subscriptions.update(current.id, {
+        cancel_at_period_end: true,
+      });
+    }
+
+    return res.json({ ok: true, ...serializeSubscription(email, subscription) });
+  } catch (err) {
+    console.error("POST /subscription/cancel error:", err?.response?.data || err?.message || err);
+    return res.status(500).json({ error: { message: err?.message || "stripe_error" } });
+  }
+});
+
+// ---- Stripe webhook (source of truth for payment outcomes; the app may never call back)
+
+// Returns false if this event id was already recorded (Stripe retries deliver the same id)
+// Returns "claimed", "processing" (another delivery is handling it right now) or "done".
+// A claim older than STRIPE_EVENT_CLAIM_TIMEOUT_MINUTES was lost to a restart and is taken over.
+const STRIPE_EVENT_CLAIM_TIMEOUT_MINUTES = 5;
+
+async function claimStripeEvent(event) {
+  const result = await pool.query(
+    `
+    insert into stripe_webhook_events (event_id, type, status, claimed_at)
+    values ($1, $2, 'processing', now())
+    on conflict (event_id) do update
+      set claimed_at = now()
+      where stripe_webhook_events.status = 'processing'
+        and stripe_webhook_events.claimed_at < now() - make_interval(mins => $3::int)
+    `,
+    [event.id, event.type, STRIPE_EVENT_CLAIM_TIMEOUT_MINUTES]
+  );
+  if (result.rowCount > 0) return "claimed";
+
+  const { rows } = await pool.query(
+    `select status from stripe_webhook_events where event_id = $1`,
+    [event.id]
+  );
+  return rows[0]?.status === "done" ? "done" : "processing";
+}
+
+async function completeStripeEvent(eventId) {
+  await pool.query(`update stripe_webhook_events set status = 'done' where event_id = $1`, [
+    eventId,
+  ]);
+}
+
+// Release the claim so Stripe's next retry gets processed again
+async function releaseStripeEvent(eventId) {
+  await pool.query(`delete from stripe_webhook_events where event_id = $1`, [eventId]);
+}
+
+// No-op when the PaymentIntent isn't linked to a refill yet
+async function updateRefillPaymentStatus(paymentIntentId, { status, amountRefundedCents }) {
+  await pool.query(
+    `
+    update refill_payments
+    set status = $2,
+        amount_refunded_cents = coalesce($3, amount_refunded_cents),
+        updated_at = now()
+    where payment_intent_id = $1
+    `,
+    [paymentIntentId, status, amountRefundedCents ?? null]
+  );
+}
+
+async function handleStripeEvent(event) {
+  const obj = event.data?.object || {};
+
+  switch (event.type) {
+    case "payment_intent.succeeded": {
+      if (obj.metadata?.app_source === "ios_refill") {
+        await updateRefillPaymentStatus(obj.id, { status: obj.status });
+      }
+
+      const email = (obj.metadata?.hubspot_email ?? "").toString().trim();
+      if (obj.metadata?.app_source === "ios_signup" && email) {
+        await markContactAsSubscriberByEmail(email);
+      }
+      break;
+    }
+
+    case "payment_intent.payment_failed": {
+      console.warn("Stripe payment failed", {
+        paymentIntentId: obj.id,
+        email: obj.metadata?.hubspot_email ?? null,
+        appSource: obj.metadata?.app_source ?? null,
+        reason: obj.last_payment_error?.message ?? null,
+      });
+      break;
+    }
+
+    case "charge.refunded": {
+      if (!obj.payment_intent) break;
+
+      const piId =
+        typeof obj.payment_intent === "string" ? obj.payment_intent : obj.payment_intent.id;
+      const pi = await stripe.paymentIntents.retrieve(piId);
+      const email = (pi.metadata?.hubspot_email ?? "").toString().trim();
+
+      if (pi.metadata?.app_source === "ios_refill") {
+        await updateRefillPaymentStatus(pi.id, {
+          status: obj.refunded ? "refunded" : "partially_refunded",
+          amountRefundedCents: obj.amount_refunded,
+        });
+      }
+
+      // Only a full refund of the signup payment revokes the subscriber flag
+      if (obj.refunded && pi.metadata?.app_source === "ios_signup" && email) {
+        await clearContactSubscriberByEmail(email);
+      }
+      break;
+    }
+
+    case "customer.subscription.created":
+    case "customer.subscription.updated":
+    case "customer.subscription.deleted": {
+      if (!obj.customer) break;
+      const customerId = typeof obj.customer === "string" ? obj.customer : obj.customer.id;
+
+      let email = (obj.metadata?.hubspot_email ?? "").toString().trim();
+      if (!email) {
+        const customer = await stripe.customers.retrieve(customerId);
+        email = (customer?.email ?? "").toString().trim();
+      }
+      if (!email) break;
+
+      // Stripe doesn't guarantee event order, so the status in the payload may already be
+      // stale; the flag follows the customer's current subscription instead
+      const current = await getCurrentStripeSubscription(customerId);
+      const status = current?.status ?? "canceled";
+
+      if (SUBSCRIPTION_ENTITLED_STATUSES.has(status)) {
+        await markContactAsSubscriberByEmail(email);
+      } else if (SUBSCRIPTION_LAPSED_STATUSES.has(status)) {
+        await clearContactSubscriberByEmail(email);
       }
+      break;
+    }
+
+    default:
+      break;
+  }
+}
+
+// POST /stripe/webhook
+// Header: Stripe-Signature (verified against STRIPE_WEBHOOK_SECRET)
+app.post("/stripe/webhook", async (req, res) => {
+  if (!stripe || !STRIPE_WEBHOOK_SECRET) {
+    return res
+      .status(500)
+      .json({ error: { message: "Stripe webhook not configured (missing STRIPE_WEBHOOK_SECRET)" } });
+  }
+
+  let event;
+  try {
+    event = stripe.webhooks.constructEvent(
+      req.rawBody,
+      req.headers["stripe-signature"],
+      STRIPE_WEBHOOK_SECRET
+    );
+  } catch (err) {
+    console.error("POST /stripe/webhook signature error:", err?.message || err);
+    return res.status(400).json({ error: { message: "invalid_signature" } });
+  }
+
+  try {
+    const claim = await claimStripeEvent(event);
+    if (claim === "done") {
+      return res.json({ received: true, duplicate: true });
+    }
+    if (claim === "processing") {
+      // Not acknowledged: if the delivery in progress fails, Stripe must still retry
+      return res.status(409).json({ error: { message: "event_in_progress" } });
+    }
+
+    try {
+      await handleStripeEvent(event);
+    } catch (err) {
+      await releaseStripeEvent(event.id);
+      throw err;
+    }
+    await completeStripeEvent(event.id);
+
+    return res.json({ received: true });
+  } catch (err) {
+    console.error("POST /stripe/webhook error:", event.type, err?.message || err);
+    return res.status(500).json({ error: { message: "webhook_processing_failed" } });
+  }
+});
+
+//hubspot get gas prices
+
+// Current per-gallon prices as entered on HubSpot tickets (raw strings, e.g. "3.49")
+async function fetchGasPrices() {
+  // Grab up to 50 tickets with subject + description/body
+  const searchRequest = {
+    filterGroups: [], // you can tighten this later to a specific pipeline if you want
+    properties: ["subject", "description", "hs_ticket_body", "content"],
+    limit: 50,
+  };
+
+  const resp = await hs.post(
+    "/crm/v3/objects/tickets/search",
+    searchRequest
+  );
+
+  const prices = {
+    regular: null,
+    mid: null,
+    premium: null,
+  };
+
+  for (const ticket of resp.data.results || []) {
+    const props = ticket.properties || {};
+    const subject = (props.subject || "").trim().toLowerCase();
+    const desc =
+      props.description ||
+      props.hs_ticket_body ||
+      props.content ||
+      "";
+
+    if (!desc) continue;
+
+    // Your convention:
+    // ticket "name" (subject) indicates grade:
+    // r = regular, m = mid, p = premium
+    // be generous in matching so it "just works"
+    const startsWithR = subject.startsWith("r ");
+    const startsWithM = subject.startsWith("m ");
+    const startsWithP = subject.startsWith("p ");
+    const hasRegular = subject.includes("regular");
+    const hasMid = subject.includes("mid");
+    const hasPremium = subject.includes("premium");
+
+    if (!prices.regular && (startsWithR || hasRegular || subject === "r")) {
+      prices.regular = desc;
+    } else if (!prices.mid && (startsWithM || hasMid || subject === "m")) {
+      prices.mid = desc;
+    } else if (
+      !prices.premium &&
+      (startsWithP || hasPremium || subject === "p")
+    ) {
+      prices.premium = desc;
     }
+  }
+
+  return prices;
+}
+
+app.get("/gas-prices", async (req, res) => {
+  try {
+    const prices = await fetchGasPrices();
 
     console.log("Gas prices payload:", prices);
     return res.json(prices);
@@ -1658,7 +5678,235 @@ app.get("/gas-prices", async (req, res) => {
   }
 });
 
+// ========================== REFILL PRICING ===============================
+// Refill charges are computed here, never taken from the client:
+//   fuel (gallons x ticket price) + delivery fee + PSI check add-on - subscriber discount + tax
+// All amounts are integer cents. Tax applies to the service portion only; the posted
+// per-gallon price already includes fuel taxes.
+
+const FUEL_GRADES = ["regular", "mid", "premium"];
+
+function envCents(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n >= 0 ? Math.round(n) : fallback;
+}
+
+const REFILL_DELIVERY_FEE_CENTS = envCents("REFILL_DELIVERY_FEE_CENTS", 1500);
+const REFILL_SUBSCRIBER_DISCOUNT_CENTS = envCents("REFILL_SUBSCRIBER_DISCOUNT_CENTS", 1500);
+const REFILL_PSI_CHECK_FEE_CENTS = envCents("REFILL_PSI_CHECK_FEE_CENTS", 500);
+const REFILL_MIN_GALLONS = Number(process.env.REFILL_MIN_GALLONS) || 1;
+const REFILL_MAX_GALLONS = Number(process.env.REFILL_MAX_GALLONS) || 40;
+// Stripe won't create a USD charge under 50 cents; a discounted small order could get there
+const REFILL_MIN_TOTAL_CENTS = Math.max(50, envCents("REFILL_MIN_TOTAL_CENTS", 50));
+const REFILL_TAX_RATE_PERCENT = Number(process.env.REFILL_TAX_RATE_PERCENT) || 0;
+const REFILL_QUOTE_TTL_MINUTES = Number(process.env.REFILL_QUOTE_TTL_MINUTES) || 15;
+
+// "$3.49", "3.49/gal", "3.49" -> 349 (null if unparseable)
+function parsePriceToCents(raw) {
+  const match = (raw ?? "").toString().match(/\d+(?:\.\d+)?/);
+  if (!match) return null;
+  const cents = Math.round(parseFloat(match[0]) * 100);
+  return Number.isFinite(cents) && cents > 0 ? cents : null;
+}
+
+function isSubscriberContact(contact) {
+  return String(contact?.properties?.jobtitle || "").trim() === "1";
+}
+
+// Validates { grade, gallons, psiCheck } from a request body.
+// Returns { error } or { grade, gallons, psiCheckRequested }.
+function parseRefillOrder(body) {
+  const grade = (body?.grade ?? "").toString().trim().toLowerCase();
+  const gallons = Number(body?.gallons);
+  const psiCheckRequested = Boolean(body?.psiCheck);
+
+  if (!FUEL_GRADES.includes(grade)) {
+    return { error: `grade must be one of: ${FUEL_GRADES.join(", ")}` };
+  }
+  if (!Number.isFinite(gallons) || gallons < REFILL_MIN_GALLONS || gallons > REFILL_MAX_GALLONS) {
+    return {
+      error: `gallons must be a number between ${REFILL_MIN_GALLONS} and ${REFILL_MAX_GALLONS}`,
+    };
+  }
+
+  return { grade, gallons: Math.round(gallons * 100) / 100, psiCheckRequested };
+}
+
+// Pure price computation; prices is the object returned by fetchGasPrices()
+function computeRefillQuote({ grade, gallons, psiCheckRequested, isSubscriber, prices }) {
+  const pricePerGallonCents = parsePriceToCents(prices?.[grade]);
+  if (pricePerGallonCents == null) return null;
+
+  // PSI check is a subscriber perk, same rule as /refills/book
+  const psiCheck = isSubscriber && psiCheckRequested;
+
+  const fuelCents = Math.round(gallons * pricePerGallonCents);
+  const deliveryFeeCents = REFILL_DELIVERY_FEE_CENTS;
+  const psiCheckCents = psiCheck ? REFILL_PSI_CHECK_FEE_CENTS : 0;
+  const subtotalCents = fuelCents + deliveryFeeCents + psiCheckCents;
+  const subscriberDiscountCents = isSubscriber
+    ? Math.min(REFILL_SUBSCRIBER_DISCOUNT_CENTS, subtotalCents)
+    : 0;
+
+  // Discount comes off the service portion first, then fuel
+  const taxableCents = Math.max(0, deliveryFeeCents + psiCheckCents - subscriberDiscountCents);
+  const taxCents = Math.round((taxableCents * REFILL_TAX_RATE_PERCENT) / 100);
 
+  return {
+    grade,
+    gallons,
+    pricePerGallonCents,
+    fuelCents,
+    deliveryFeeCents,
+    psiCheck,
+    psiCheckCents,
+    isSubscriber,
+    subscriberDiscountCents,
+    taxRatePercent: REFILL_TAX_RATE_PERCENT,
+    taxCents,
+    totalCents: subtotalCents - subscriberDiscountCents + taxCents,
+  };
+}
+
+function formatUsd(cents) {
+  return `$${(cents / 100).toFixed(2)}`;
+}
+
+// Human-readable line items for the app's price sheet
+function quoteLineItems(quote) {
+  const gradeLabel = quote.grade.charAt(0).toUpperCase() + quote.grade.slice(1);
+  const items = [
+    {
+      code: "fuel",
+      label: `${gradeLabel} fuel (${quote.gallons} gal @ ${formatUsd(quote.pricePerGallonCents)})`,
+      amountCents: quote.fuelCents,
+    },
+    { code: "delivery_fee", label: "Delivery fee", amountCents: quote.deliveryFeeCents },
+  ];
+  if (quote.psiCheck) {
+    items.push({ code: "psi_check", label: "Tire PSI check", amountCents: quote.psiCheckCents });
+  }
+  if (quote.subscriberDiscountCents) {
+    items.push({
+      code: "subscriber_discount",
+      label: "Subscriber discount",
+      amountCents: -quote.subscriberDiscountCents,
+    });
+  }
+  items.push({ code: "tax", label: "Tax", amountCents: quote.taxCents });
+  return items;
+}
+
+async function saveRefillQuote(email, serviceLocation, quote) {
+  const id = `q_${crypto.randomUUID().replace(/-/g, "")}`;
+  const { rows } = await pool.query(
+    `
+    insert into refill_quotes (id, email, service_location, quote, expires_at)
+    values ($1, $2, $3, $4, now() + make_interval(mins => $5::int))
+    returning expires_at
+    `,
+    [id, email.toLowerCase(), serviceLocation || null, JSON.stringify(quote), Math.round(REFILL_QUOTE_TTL_MINUTES)]
+  );
+  return { id, expiresAt: rows[0].expires_at };
+}
+
+// Returns { quote, serviceLocation } or { error: "quote_not_found" | "quote_expired" }
+async function loadRefillQuote(quoteId, email) {
+  const { rows } = await pool.query(
+    `
+    select quote, service_location, expires_at < now() as expired
+    from refill_quotes
+    where id = $1 and email = $2
+    `,
+    [quoteId, email.toLowerCase()]
+  );
+
+  const row = rows[0];
+  if (!row) return { error: "quote_not_found" };
+  if (row.expired) return { error: "quote_expired" };
+  return { quote: row.quote, serviceLocation: row.service_location };
+}
+
+// Flatten a quote into Stripe metadata (string values only)
+function quoteToStripeMetadata(quote) {
+  return {
+    quote_grade: quote.grade,
+    quote_gallons: String(quote.gallons),
+    quote_price_per_gallon_cents: String(quote.pricePerGallonCents),
+    quote_fuel_cents: String(quote.fuelCents),
+    quote_delivery_fee_cents: String(quote.deliveryFeeCents),
+    quote_psi_check: quote.psiCheck ? "1" : "0",
+    quote_psi_check_cents: String(quote.psiCheckCents),
+    quote_is_subscriber: quote.isSubscriber ? "1" : "0",
+    quote_subscriber_discount_cents: String(quote.subscriberDiscountCents),
+    quote_tax_cents: String(quote.taxCents ?? 0),
+    quote_total_cents: String(quote.totalCents),
+  };
+}
+
+// POST /refills/quote  { grade, gallons, serviceLocation | locationId, psiCheck? }
+// Returns an itemized quote plus a short-lived quoteId to pass to /stripe/init-refill-payment
+app.post("/refills/quote", async (req, res) => {
+  try {
+    const email = callerEmail(req, req.body?.email);
+    if (!email) {
+      return res.status(400).json({ error: "email and serviceLocation are required" });
+    }
+
+    const resolved = await resolveServiceLocation(email, req.body);
+    if (resolved.error) {
+      return res.status(resolved.status).json({
+        error: resolved.error,
+        ...(resolved.details ? { details: resolved.details } : {}),
+      });
+    }
+    const serviceLocation = formatServiceLocation(resolved.location);
+
+    const order = parseRefillOrder(req.body);
+    if (order.error) {
+      return res.status(400).json({ error: order.error });
+    }
+
+    const contact = await getContactByEmail(email);
+    if (!contact || !contact.id) {
+      return res.status(404).json({ error: "contact_not_found" });
+    }
+
+    const prices = await fetchGasPrices();
+    const quote = computeRefillQuote({
+      ...order,
+      isSubscriber: isSubscriberContact(contact),
+      prices,
+    });
+    if (!quote) {
+      return res.status(503).json({ error: "price_unavailable", grade: order.grade });
+    }
+    if (quote.totalCents < REFILL_MIN_TOTAL_CENTS) {
+      return res.status(400).json({
+        error: "refill_total_below_minimum",
+        totalCents: quote.totalCents,
+        minimumCents: REFILL_MIN_TOTAL_CENTS,
+      });
+    }
+
+    const saved = await saveRefillQuote(email, serviceLocation, quote);
+
+    return res.json({
+      quoteId: saved.id,
+      expiresAt: saved.expiresAt,
+      currency: "usd",
+      serviceLocation,
+      location: resolved.location,
+      lineItems: quoteLineItems(quote),
+      ...quote,
+    });
+  } catch (err) {
+    const status = err.response?.status || 500;
+    const details = err.response?.data || err.message;
+    console.error("POST /refills/quote error:", details);
+    return res.status(status).json({ error: "server_error", details });
+  }
+});
 
 // SetupIntent flow to save card first (optional)
 app.post("/stripe/init-setup", async (req, res) => {
@@ -1669,7 +5917,7 @@ app.post("/stripe/init-setup", async (req, res) => {
         .json({ error: { message: "Stripe not configured (missing STRIPE_SECRET_KEY)" } });
     }
 
-    const email = (req.body?.email ?? "").toString().trim();
+    const email = callerEmail(req, req.body?.email);
     const name = (req.body?.name ?? "").toString().trim();
     if (!email) return res.status(400).json({ error: { message: "email required" } });
 
@@ -1704,4 +5952,36 @@ app.use((req, res) =>
   res.status(404).json({ error: "not_found", path: req.originalUrl })
 );
 
-app.listen(PORT, () => console.log(`Listening on ${PORT}`));
+if (process.argv.includes("--import-vehicles")) {
+  const emails = process.argv.slice(process.argv.indexOf("--import-vehicles") + 1);
+  importVehiclesFromHubSpot(emails)
+    .then(() => process.exit(0))
+    .catch((e) => {
+      console.error("IMPORT VEHICLES failed:", e.response?.data || e.message);
+      process.exit(1);
+    });
+} else {
+  ensureSchema().catch((e) => console.error("Schema setup failed:", e.message));
+
+  // Truck breadcrumb retention
+  setInterval(() => {
+    pruneTruckLocations().catch((e) => console.error("Truck location prune failed:", e.message));
+  }, 60 * 60 * 1000).unref();
+
+  // Done webhook events are only kept for WEBHOOK_DONE_RETENTION_DAYS
+  setInterval(() => {
+    pruneWebhookEvents().catch((e) => console.error("Webhook event prune failed:", e.message));
+  }, 60 * 60 * 1000).unref();
+
+  // Orphaned and past refill slot reservations
+  setInterval(() => {
+    pruneRefillSlotReservations().catch((e) =>
+      console.error("Refill slot reservation prune failed:", e.message)
+    );
+  }, 60 * 60 * 1000).unref();
+
+  startTruckStreamTimer();
+  startWebhookWorker();
+
+  app.listen(PORT, () => console.log(`Listening on ${PORT}`));
+}